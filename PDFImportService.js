@@ -3,6 +3,8 @@
  * Imports PDF files from filesystem to ELO Archive with metadata mask "Eingangsrechnung"
  * and starts workflow with template "dps.invoice.Base"
  * 
+ * Watches a single source directory; multiple hotfolders are only supported by PDFImportService_Enhanced.js
+ * 
  * Runs every 30 seconds
  */
 
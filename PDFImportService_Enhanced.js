@@ -9,34 +9,456 @@
  * - File size and type validation
  * - Retry mechanisms
  * - Performance monitoring
+ * - Invoice metadata extraction from the PDF text layer
+ * - Duplicate detection by content hash and invoice number
+ * - Rule-based routing of mask, archive folder and workflow
+ * - Multiple hotfolders with their own directories, targets and filters
+ * - Hierarchical archive paths with date, supplier and mask placeholders
+ * - Sidecar metadata files (XML/JSON/CSV) imported alongside each PDF
+ * - ZUGFeRD / Factur-X / XRechnung e-invoice parsing
+ * - File stability check so partially written files are never imported
+ * - Persistent import journal with crash-safe resume
+ * - Error classification with quarantine folders and error reports
+ * - Scheduled re-drive of the error directory and retry marker files
+ * - Email notifications on errors and connection loss, daily summary report
+ * - Health and Prometheus metrics HTTP endpoint, status file
+ * - Dry-run mode that checks config and files without changing anything
+ * - Schema validation of config.json and environment profiles
+ * - Hot reload of config.json between runs
+ * - Glob and regex include/exclude filters and a minimum file size
+ * - Structural PDF validation, detection of encryption and active content
+ * - TIFF, JPEG and PNG import detected by content, optional conversion to PDF
+ * - Splitting of batch scans by blank pages, barcode separator sheets or page count
+ * - Barcode and QR-code recognition (GiroCode, Swiss QR-bill, custom codes) for indexing and routing
+ * - Supplier lookup in ERP master data (CSV or JDBC) by VAT ID, IBAN or similar name
+ * - Workflow name, workflow variables and node user assignments from the import metadata
+ * - Companion files (delivery notes, timesheets, cover letters) attached to or linked with the main document
+ * - Mailbox channel: attachments of mails from an IMAP/POP3 mailbox or of dropped .eml/.msg files
  */
 
+// Schema of config.json, checked before the service starts. Objects with "properties" reject unknown keys,
+// "additionalProperties" describes the values of free-form maps.
+var FILE_FILTERS_SCHEMA = {
+    type: "object",
+    properties: {
+        extensions: { type: "array", items: { type: "string", pattern: "^\\." } },
+        maxFileSizeMB: { type: "number", minimum: 1 },
+        minFileSizeKB: { type: "number", minimum: 0 },
+        includePatterns: { type: "array", items: { type: "string", minLength: 1 } },
+        excludePatterns: { type: "array", items: { type: "string", minLength: 1 } },
+        includeRegex: { type: "array", items: { type: "string", format: "regex" } },
+        excludeRegex: { type: "array", items: { type: "string", format: "regex" } },
+        includeSubdirectories: { type: "boolean" }
+    }
+};
+var SPLITTING_SCHEMA = {
+    type: "object",
+    properties: {
+        enabled: { type: "boolean" },
+        mode: { type: "string", "enum": ["blankPage", "barcode", "pageCount"] },
+        pageCount: { type: "number", minimum: 1 },
+        minPages: { type: "number", minimum: 2 },
+        blankPageMaxInk: { type: "number", minimum: 0, maximum: 1 },
+        barcodePattern: { type: "string", format: "regex" },
+        renderDpi: { type: "number", minimum: 10, maximum: 600 },
+        keepSeparatorPages: { type: "boolean" },
+        mapFieldPrefix: { type: "string" }
+    }
+};
+var MAILBOX_SCHEMA = {
+    type: "object",
+    properties: {
+        enabled: { type: "boolean" },
+        protocol: { type: "string", "enum": ["imap", "imaps", "pop3", "pop3s"] },
+        host: { type: "string" },
+        port: { type: "number", minimum: 1, maximum: 65535 },
+        startTls: { type: "boolean" },
+        username: { type: "string" },
+        password: { type: "string" },
+        folder: { type: "string", minLength: 1 },
+        processedFolder: { type: "string" },
+        errorFolder: { type: "string" },
+        maxMessages: { type: "number", minimum: 1 },
+        readMailFiles: { type: "boolean" },
+        archiveDirectory: { type: "string", minLength: 1 },
+        formats: { type: "array", items: { type: "string", "enum": ["pdf", "xml", "tiff", "jpeg", "png"] } },
+        archiveMail: { type: "string", "enum": ["linkedDocument", "attachment", "none"] },
+        indexFields: { type: "object", additionalProperties: { type: "string" } }
+    }
+};
+var CONFIG_SCHEMA = {
+    type: "object",
+    required: ["settings", "fileFilters", "eloConnection"],
+    properties: {
+        description: { type: "string" },
+        activeEnvironment: { type: "string" },
+        environments: { type: "object", additionalProperties: { type: "object" } },
+        settings: {
+            type: "object",
+            required: ["sourceDirectory", "archivePath", "metadataMask", "processedDirectory", "errorDirectory", "intervalSeconds"],
+            properties: {
+                sourceDirectory: { type: "string", minLength: 1 },
+                archivePath: { type: "string", minLength: 1 },
+                metadataMask: { type: "string" },
+                workflowTemplate: { type: "string" },
+                processedDirectory: { type: "string", minLength: 1 },
+                errorDirectory: { type: "string", minLength: 1 },
+                duplicatesDirectory: { type: "string", minLength: 1 },
+                intervalSeconds: { type: "number", minimum: 1 },
+                logging: {
+                    type: "object",
+                    properties: {
+                        level: { type: "string", "enum": ["DEBUG", "INFO", "WARN", "ERROR"] },
+                        scope: { type: "string" }
+                    }
+                }
+            }
+        },
+        fileFilters: FILE_FILTERS_SCHEMA,
+        eloConnection: {
+            type: "object",
+            properties: {
+                timeout: { type: "number", minimum: 0 },
+                retryAttempts: { type: "number", minimum: 1 }
+            }
+        },
+        fileStability: {
+            type: "object",
+            properties: {
+                settleSeconds: { type: "number", minimum: 0 },
+                lockCheck: { type: "boolean" },
+                temporaryExtensions: { type: "array", items: { type: "string" } }
+            }
+        },
+        pdfValidation: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                checks: {
+                    type: "object",
+                    properties: {
+                        trailer: { type: "string", "enum": ["reject", "warn", "off"] },
+                        structure: { type: "string", "enum": ["reject", "warn", "off"] },
+                        passwordProtected: { type: "string", "enum": ["reject", "warn", "off"] },
+                        encrypted: { type: "string", "enum": ["reject", "warn", "off"] },
+                        activeContent: { type: "string", "enum": ["reject", "warn", "off"] }
+                    }
+                }
+            }
+        },
+        splitting: SPLITTING_SCHEMA,
+        mailbox: MAILBOX_SCHEMA,
+        workflow: {
+            type: "object",
+            properties: {
+                nameTemplate: { type: "string" },
+                variables: { type: "object", additionalProperties: { type: "string" } },
+                nodeAssignments: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["node"],
+                        properties: {
+                            node: { type: "string", minLength: 1 },
+                            user: { type: "string" },
+                            fallbackUser: { type: "string" }
+                        }
+                    }
+                }
+            }
+        },
+        supplierLookup: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                source: { type: "string", "enum": ["csv", "jdbc"] },
+                csv: {
+                    type: "object",
+                    required: ["file"],
+                    properties: {
+                        file: { type: "string", minLength: 1 },
+                        delimiter: { type: "string", minLength: 1 },
+                        encoding: { type: "string", minLength: 1 }
+                    }
+                },
+                jdbc: {
+                    type: "object",
+                    required: ["url", "query"],
+                    properties: {
+                        driver: { type: "string" },
+                        url: { type: "string", minLength: 1 },
+                        username: { type: "string" },
+                        password: { type: "string" },
+                        query: { type: "string", minLength: 1 }
+                    }
+                },
+                columns: { type: "object", required: ["supplierNumber"], additionalProperties: { type: "string" } },
+                nameSimilarity: { type: "number", minimum: 0, maximum: 1 },
+                overwriteSupplierName: { type: "boolean" },
+                refreshMinutes: { type: "number", minimum: 1 },
+                indexFields: { type: "object", additionalProperties: { type: "string" } },
+                workflowVariables: { type: "object", additionalProperties: { type: "string" } }
+            }
+        },
+        barcodes: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                maxPages: { type: "number", minimum: 0 },
+                renderDpi: { type: "number", minimum: 72, maximum: 600 },
+                formats: {
+                    type: "array",
+                    items: {
+                        type: "string",
+                        "enum": ["AZTEC", "CODABAR", "CODE_39", "CODE_93", "CODE_128", "DATA_MATRIX", "EAN_8", "EAN_13", "ITF",
+                            "MAXICODE", "PDF_417", "QR_CODE", "RSS_14", "RSS_EXPANDED", "UPC_A", "UPC_E", "UPC_EAN_EXTENSION"]
+                    }
+                },
+                paymentCodes: { type: "boolean" },
+                fields: {
+                    type: "object",
+                    additionalProperties: {
+                        type: "object",
+                        required: ["pattern"],
+                        properties: {
+                            pattern: { type: "string", format: "regex" },
+                            type: { type: "string", "enum": ["text", "date", "amount", "iban"] }
+                        }
+                    }
+                },
+                indexFields: { type: "object", additionalProperties: { type: "string" } }
+            }
+        },
+        formats: {
+            type: "object",
+            properties: {
+                convertToPdf: { type: "array", items: { type: "string", "enum": ["tiff", "jpeg", "png"] } },
+                keepOriginal: { type: "boolean" }
+            }
+        },
+        errorHandling: {
+            type: "object",
+            properties: {
+                categorySubdirectories: { type: "boolean" },
+                writeReport: { type: "boolean" },
+                quarantineInvalidFiles: { type: "boolean" }
+            }
+        },
+        reprocessing: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                categories: { type: "array", items: { type: "string", "enum": ["validation", "security", "elo", "workflow", "unknown"] } },
+                intervalMinutes: { type: "number", minimum: 1 },
+                backoffFactor: { type: "number", minimum: 1 },
+                maxRedrives: { type: "number", minimum: 0 },
+                maxAgeHours: { type: "number", minimum: 0 }
+            }
+        },
+        notifications: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                smtp: {
+                    type: "object",
+                    properties: {
+                        host: { type: "string", minLength: 1 },
+                        port: { type: "number", minimum: 1, maximum: 65535 },
+                        username: { type: "string" },
+                        password: { type: "string" },
+                        startTls: { type: "boolean" },
+                        from: { type: "string", pattern: "@" }
+                    }
+                },
+                recipients: { type: "array", items: { type: "string", pattern: "@" } },
+                errorThreshold: {
+                    type: "object",
+                    properties: {
+                        count: { type: "number", minimum: 0 },
+                        windowMinutes: { type: "number", minimum: 1 }
+                    }
+                },
+                connectionLoss: { type: "boolean" },
+                dailySummary: {
+                    type: "object",
+                    properties: {
+                        enabled: { type: "boolean" },
+                        time: { type: "string", pattern: "^([01]?\\d|2[0-3]):[0-5]\\d$" },
+                        attachCsv: { type: "boolean" }
+                    }
+                }
+            }
+        },
+        dryRun: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                reportFile: { type: ["string", "null"] }
+            }
+        },
+        monitoring: {
+            type: "object",
+            properties: {
+                httpPort: { type: "number", minimum: 0, maximum: 65535 },
+                bindAddress: { type: "string" },
+                statusFile: { type: ["string", "null"] },
+                stallMinutes: { type: "number", minimum: 1 }
+            }
+        },
+        journal: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                file: { type: "string", minLength: 1 },
+                retentionDays: { type: "number", minimum: 1 }
+            }
+        },
+        routing: {
+            type: "object",
+            properties: {
+                rules: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            name: { type: "string" },
+                            match: {
+                                type: "object",
+                                properties: {
+                                    hotfolder: { type: ["string", "array"] },
+                                    filename: { type: "string" },
+                                    filenameRegex: { type: "string", format: "regex" },
+                                    subdirectory: { type: "string" },
+                                    minSizeKB: { type: "number", minimum: 0 },
+                                    maxSizeKB: { type: "number", minimum: 0 },
+                                    textContains: { type: ["string", "array"] },
+                                    textRegex: { type: "string", format: "regex" },
+                                    eInvoice: { type: "boolean" },
+                                    barcode: { type: "string", format: "regex" },
+                                    paymentCode: { type: ["string", "boolean"], "enum": ["epc", "swissqr", true, false] }
+                                }
+                            },
+                            metadataMask: { type: "string" },
+                            archivePath: { type: "string" },
+                            workflowTemplate: { type: "string" },
+                            sordName: { type: "string" }
+                        }
+                    }
+                }
+            }
+        },
+        hotfolders: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string", minLength: 1 },
+                    sourceDirectory: { type: "string", minLength: 1 },
+                    processedDirectory: { type: "string", minLength: 1 },
+                    errorDirectory: { type: "string", minLength: 1 },
+                    duplicatesDirectory: { type: "string", minLength: 1 },
+                    metadataMask: { type: "string" },
+                    archivePath: { type: "string", minLength: 1 },
+                    workflowTemplate: { type: "string" },
+                    fileFilters: FILE_FILTERS_SCHEMA,
+                    splitting: SPLITTING_SCHEMA,
+                    mailbox: MAILBOX_SCHEMA,
+                    loggingScope: { type: "string" },
+                    notificationRecipients: { type: "array", items: { type: "string", pattern: "@" } }
+                }
+            }
+        },
+        sidecar: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                extensions: { type: "array", items: { type: "string", "enum": [".xml", ".json", ".csv"] } },
+                required: { type: "boolean" },
+                waitSeconds: { type: "number", minimum: 0 },
+                csvDelimiter: { type: "string", minLength: 1 },
+                mapping: { type: "object", additionalProperties: { type: "string" } }
+            }
+        },
+        companionFiles: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                rules: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["pattern"],
+                        properties: {
+                            pattern: { type: "string", format: "regex" },
+                            mode: { type: "string", "enum": ["attachment", "linkedDocument"] }
+                        }
+                    }
+                },
+                waitSeconds: { type: "number", minimum: 0 }
+            }
+        },
+        eInvoice: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                importXmlFiles: { type: "boolean" },
+                attachXml: { type: "boolean" },
+                attachmentNames: { type: "array", items: { type: "string" } },
+                mapFieldPrefix: { type: "string" },
+                indexFields: { type: "object", additionalProperties: { type: "string" } }
+            }
+        },
+        duplicateCheck: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                hashField: { type: "string", minLength: 1 },
+                matchInvoiceNumber: { type: "boolean" },
+                policy: { type: "string", "enum": ["skip", "flag", "version"] },
+                flagField: { type: "string" }
+            }
+        },
+        metadataExtraction: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                maxPages: { type: "number", minimum: 0 },
+                decimalSeparator: { type: "string", "enum": [",", "."] },
+                fields: {
+                    type: "object",
+                    additionalProperties: {
+                        type: "object",
+                        required: ["patterns"],
+                        properties: {
+                            indexField: { type: "string" },
+                            type: { type: "string", "enum": ["text", "date", "amount", "iban"] },
+                            patterns: { type: "array", items: { type: "string" } },
+                            flags: { type: "string" },
+                            "default": { type: "string" }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
 // Load configuration from file
 var CONFIG;
+var configLoadError = null; // reason the default configuration is used, reported by the dry run
+var configErrors = []; // problems in config.json, the service does not start with an invalid configuration
 try {
     var configFile = new java.io.File("config.json");
     if (configFile.exists()) {
-        var configContent = sol.common.FileUtils.readFileToString(configFile, "UTF-8");
-        var configData = JSON.parse(configContent);
-        CONFIG = {
-            SOURCE_DIR: configData.settings.sourceDirectory,
-            ARCHIVE_PATH: configData.settings.archivePath,
-            METADATA_MASK: configData.settings.metadataMask,
-            WORKFLOW_TEMPLATE: configData.settings.workflowTemplate,
-            PROCESSED_DIR: configData.settings.processedDirectory,
-            ERROR_DIR: configData.settings.errorDirectory,
-            INTERVAL: configData.settings.intervalSeconds * 1000,
-            MAX_FILE_SIZE: (configData.fileFilters.maxFileSizeMB || 50) * 1024 * 1024,
-            ALLOWED_EXTENSIONS: configData.fileFilters.extensions || [".pdf"],
-            EXCLUDE_PATTERNS: configData.fileFilters.excludePatterns || [],
-            RETRY_ATTEMPTS: configData.eloConnection.retryAttempts || 3,
-            CONNECTION_TIMEOUT: configData.eloConnection.timeout || 30000,
-            LOG_LEVEL: configData.settings.logging.level || "INFO"
-        };
+        CONFIG = buildConfig(readConfigFile(configFile));
     } else {
         throw new Error("config.json not found, using default configuration");
     }
 } catch (e) {
+    if (e.configErrors) {
+        configErrors = e.configErrors;
+    }
+    
     // Fallback to default configuration
     CONFIG = {
         SOURCE_DIR: "C:\\temp\\pdf_import",
@@ -45,117 +467,731 @@ try {
         WORKFLOW_TEMPLATE: "dps.invoice.Base",
         PROCESSED_DIR: "C:\\temp\\pdf_import\\processed",
         ERROR_DIR: "C:\\temp\\pdf_import\\error",
+        DUPLICATES_DIR: "C:\\temp\\pdf_import\\duplicates",
         INTERVAL: 30000,
         MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
         ALLOWED_EXTENSIONS: [".pdf"],
+        MIN_FILE_SIZE: 0,
+        INCLUDE_PATTERNS: [],
         EXCLUDE_PATTERNS: ["temp_*", ".*"],
+        INCLUDE_REGEX: [],
+        EXCLUDE_REGEX: [],
+        INCLUDE_SUBDIRECTORIES: false,
         RETRY_ATTEMPTS: 3,
         CONNECTION_TIMEOUT: 30000,
-        LOG_LEVEL: "INFO"
+        LOG_LEVEL: "INFO",
+        METADATA_EXTRACTION: { enabled: false, fields: {} },
+        DUPLICATE_CHECK: { enabled: false },
+        ROUTING_RULES: [],
+        HOTFOLDER_DEFINITIONS: [],
+        SIDECAR: { enabled: false },
+        COMPANION_FILES: { enabled: false },
+        E_INVOICE: { enabled: false },
+        FILE_STABILITY: { settleSeconds: 0, lockCheck: true, temporaryExtensions: [".tmp", ".part", ".crdownload"] },
+        PDF_VALIDATION: { enabled: false },
+        FORMATS: { convertToPdf: [], keepOriginal: true },
+        SPLITTING: { enabled: false },
+        MAILBOX: { enabled: false },
+        BARCODES: { enabled: false },
+        SUPPLIER_LOOKUP: { enabled: false },
+        WORKFLOW: {},
+        JOURNAL: { enabled: false },
+        ERROR_HANDLING: { categorySubdirectories: true, writeReport: true, quarantineInvalidFiles: true },
+        REPROCESSING: { enabled: false },
+        NOTIFICATIONS: { enabled: false },
+        MONITORING: { httpPort: 0, statusFile: null },
+        DRY_RUN: { enabled: false },
+        ENVIRONMENT: null
+    };
+    configLoadError = e.message;
+}
+CONFIG.HOTFOLDERS = buildHotfolders(CONFIG);
+var configFileStamp = getConfigFileStamp(); // modification time and size of the config.json in use
+var rejectedConfigStamp = null; // invalid config.json version that was already reported
+
+/**
+ * Map the validated config.json content to the CONFIG keys
+ * @param {Object} configData - Content of config.json with the active environment merged in
+ * @return {Object} - The configuration
+ */
+function buildConfig(configData) {
+    return {
+        SOURCE_DIR: configData.settings.sourceDirectory,
+        ARCHIVE_PATH: configData.settings.archivePath,
+        METADATA_MASK: configData.settings.metadataMask,
+        WORKFLOW_TEMPLATE: configData.settings.workflowTemplate,
+        PROCESSED_DIR: configData.settings.processedDirectory,
+        ERROR_DIR: configData.settings.errorDirectory,
+        DUPLICATES_DIR: configData.settings.duplicatesDirectory || configData.settings.sourceDirectory + "\\duplicates",
+        INTERVAL: configData.settings.intervalSeconds * 1000,
+        MAX_FILE_SIZE: (configData.fileFilters.maxFileSizeMB || 50) * 1024 * 1024,
+        ALLOWED_EXTENSIONS: configData.fileFilters.extensions || [".pdf"],
+        MIN_FILE_SIZE: (configData.fileFilters.minFileSizeKB || 0) * 1024,
+        INCLUDE_PATTERNS: configData.fileFilters.includePatterns || [],
+        EXCLUDE_PATTERNS: configData.fileFilters.excludePatterns || [],
+        INCLUDE_REGEX: configData.fileFilters.includeRegex || [],
+        EXCLUDE_REGEX: configData.fileFilters.excludeRegex || [],
+        INCLUDE_SUBDIRECTORIES: configData.fileFilters.includeSubdirectories || false,
+        RETRY_ATTEMPTS: configData.eloConnection.retryAttempts || 3,
+        CONNECTION_TIMEOUT: configData.eloConnection.timeout || 30000,
+        LOG_LEVEL: (configData.settings.logging && configData.settings.logging.level) || "INFO",
+        METADATA_EXTRACTION: configData.metadataExtraction || { enabled: false, fields: {} },
+        DUPLICATE_CHECK: configData.duplicateCheck || { enabled: false },
+        ROUTING_RULES: (configData.routing && configData.routing.rules) || [],
+        HOTFOLDER_DEFINITIONS: configData.hotfolders || [],
+        SIDECAR: configData.sidecar || { enabled: false },
+        COMPANION_FILES: configData.companionFiles || { enabled: false },
+        E_INVOICE: configData.eInvoice || { enabled: false },
+        FILE_STABILITY: configData.fileStability || { settleSeconds: 0, lockCheck: true, temporaryExtensions: [".tmp", ".part", ".crdownload"] },
+        PDF_VALIDATION: configData.pdfValidation || { enabled: false },
+        FORMATS: configData.formats || { convertToPdf: [], keepOriginal: true },
+        SPLITTING: configData.splitting || { enabled: false },
+        MAILBOX: configData.mailbox || { enabled: false },
+        BARCODES: configData.barcodes || { enabled: false },
+        SUPPLIER_LOOKUP: configData.supplierLookup || { enabled: false },
+        WORKFLOW: configData.workflow || {},
+        JOURNAL: configData.journal || { enabled: false },
+        ERROR_HANDLING: configData.errorHandling || { categorySubdirectories: true, writeReport: true, quarantineInvalidFiles: true },
+        REPROCESSING: configData.reprocessing || { enabled: false },
+        NOTIFICATIONS: configData.notifications || { enabled: false },
+        MONITORING: configData.monitoring || { httpPort: 0, statusFile: null },
+        DRY_RUN: configData.dryRun || { enabled: false },
+        ENVIRONMENT: configData.activeEnvironment || null
     };
 }
 
+/**
+ * Read config.json, merge the active environment into the shared base and validate the result
+ * @param {File} configFile - The configuration file
+ * @return {Object} - The validated configuration data
+ * @throws {Error} - Error with the list of problems in configErrors
+ */
+function readConfigFile(configFile) {
+    var configData;
+    try {
+        configData = JSON.parse(String(sol.common.FileUtils.readFileToString(configFile, "UTF-8")).replace(/^\uFEFF/, ""));
+    } catch (e) {
+        throw createConfigError([configFile.getName() + " is not valid JSON: " + e.message]);
+    }
+    
+    var errors = [];
+    validateConfigValue(configData, { type: "object" }, "", errors);
+    if (errors.length === 0) {
+        configData = selectEnvironment(configData);
+        validateConfigValue(configData, CONFIG_SCHEMA, "", errors);
+    }
+    if (errors.length > 0) {
+        throw createConfigError(errors);
+    }
+    return configData;
+}
+
+/**
+ * Merge the selected environment over the top level of config.json, which is the shared base
+ * The environment is selected by the environment variable PDFIMPORT_ENVIRONMENT, the Java system
+ * property pdfimport.environment or activeEnvironment in config.json, in this order.
+ * @param {Object} configData - Content of config.json
+ * @return {Object} - The base with the environment merged in, activeEnvironment names the environment
+ */
+function selectEnvironment(configData) {
+    var environments = configData.environments || {};
+    var name = java.lang.System.getenv("PDFIMPORT_ENVIRONMENT") || java.lang.System.getProperty("pdfimport.environment") || configData.activeEnvironment;
+    var base = {};
+    
+    for (var key in configData) {
+        if (key !== "environments" && key !== "activeEnvironment") {
+            base[key] = configData[key];
+        }
+    }
+    
+    if (!name) {
+        return base;
+    }
+    
+    name = String(name);
+    if (!environments.hasOwnProperty(name) || typeof environments[name] !== "object") {
+        throw createConfigError(["Environment '" + name + "' is not defined in environments (available: " + (Object.keys(environments).join(", ") || "none") + ")"]);
+    }
+    
+    var merged = mergeConfig(base, environments[name]);
+    merged.activeEnvironment = name;
+    return merged;
+}
+
+/**
+ * Deep merge of two configuration objects, objects are merged key by key, arrays and values are replaced
+ * @param {Object} base - Base values
+ * @param {Object} override - Values taking precedence
+ * @return {Object} - New merged object
+ */
+function mergeConfig(base, override) {
+    var merged = {};
+    var key;
+    
+    for (key in base) {
+        merged[key] = base[key];
+    }
+    for (key in override) {
+        var value = override[key];
+        var isObject = value !== null && typeof value === "object" && !Array.isArray(value);
+        var baseIsObject = merged[key] !== null && typeof merged[key] === "object" && !Array.isArray(merged[key]);
+        merged[key] = isObject && baseIsObject ? mergeConfig(merged[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Check a configuration value against its schema, collecting readable messages
+ * @param {*} value - The value
+ * @param {Object} schema - Schema with type, enum, minimum, maximum, minLength, pattern, items,
+ *                          required, properties and additionalProperties
+ * @param {String} path - Path of the value, e.g. "settings.intervalSeconds"
+ * @param {Array} errors - Receives the messages
+ */
+function validateConfigValue(value, schema, path, errors) {
+    var types = [].concat(schema.type || []);
+    var actual = value === null ? "null" : (Array.isArray(value) ? "array" : typeof value);
+    var name = path || "config.json";
+    
+    if (types.length > 0 && types.indexOf(actual) === -1) {
+        errors.push(name + " must be " + types.join(" or ") + ", found " + (actual === "object" || actual === "array" ? actual : actual + " " + JSON.stringify(value)));
+        return;
+    }
+    
+    if (schema["enum"] && schema["enum"].indexOf(value) === -1) {
+        errors.push(name + " must be one of " + JSON.stringify(schema["enum"]) + ", found " + JSON.stringify(value));
+    }
+    if (actual === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(name + " must be at least " + schema.minimum + ", found " + value);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(name + " must be at most " + schema.maximum + ", found " + value);
+        }
+    }
+    if (actual === "string") {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(name + " must not be empty");
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(name + " has an invalid format: " + JSON.stringify(value));
+        } else if (schema.format === "regex") {
+            try {
+                new RegExp(value);
+            } catch (regexError) {
+                errors.push(name + " is not a valid regular expression: " + JSON.stringify(value));
+            }
+        }
+    }
+    if (actual === "array" && schema.items) {
+        for (var i = 0; i < value.length; i++) {
+            validateConfigValue(value[i], schema.items, name + "[" + i + "]", errors);
+        }
+    }
+    if (actual === "object") {
+        var prefix = path ? path + "." : "";
+        var required = schema.required || [];
+        
+        for (var r = 0; r < required.length; r++) {
+            if (value[required[r]] === undefined) {
+                errors.push(prefix + required[r] + " is required");
+            }
+        }
+        
+        for (var key in value) {
+            if (schema.properties && schema.properties.hasOwnProperty(key)) {
+                validateConfigValue(value[key], schema.properties[key], prefix + key, errors);
+            } else if (schema.additionalProperties) {
+                validateConfigValue(value[key], schema.additionalProperties, prefix + key, errors);
+            } else if (schema.properties) {
+                errors.push(prefix + key + " is not a known setting" + suggestConfigKey(key, schema.properties));
+            }
+        }
+    }
+}
+
+/**
+ * @param {String} key - Unknown key
+ * @param {Object} properties - Known keys
+ * @return {String} - Hint for a known key within two typing errors, empty otherwise
+ */
+function suggestConfigKey(key, properties) {
+    for (var known in properties) {
+        if (getEditDistance(key.toLowerCase(), known.toLowerCase()) <= 2) {
+            return " (did you mean " + known + "?)";
+        }
+    }
+    return "";
+}
+
+/**
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @return {Number} - Number of inserted, deleted or replaced characters to turn a into b
+ */
+function getEditDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    
+    for (var i = 1; i <= a.length; i++) {
+        var current = [i];
+        for (j = 1; j <= b.length; j++) {
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * @param {Array} errors - Problems found in the configuration
+ * @return {Error} - Error carrying the problems in configErrors
+ */
+function createConfigError(errors) {
+    var error = new Error("Invalid configuration: " + errors.join("; "));
+    error.configErrors = errors;
+    return error;
+}
+
+/**
+ * Check config.json before a run and switch to a changed version if it is valid
+ * An invalid version is reported once and the service continues with the current configuration.
+ * A changed interval reschedules the runs, a changed monitoring port needs a restart.
+ */
+function reloadConfigIfChanged() {
+    var stamp = getConfigFileStamp();
+    if (stamp === configFileStamp || stamp === rejectedConfigStamp) {
+        return;
+    }
+    
+    if (stamp === null) {
+        logger.warn("config.json was removed, keeping the current configuration");
+        configFileStamp = null;
+        return;
+    }
+    
+    // Build the complete new configuration before anything is switched
+    var newConfig;
+    try {
+        newConfig = buildConfig(readConfigFile(new java.io.File("config.json")));
+        newConfig.HOTFOLDERS = buildHotfolders(newConfig);
+    } catch (e) {
+        rejectedConfigStamp = stamp;
+        logger.error("Changed config.json is invalid, keeping the current configuration:");
+        var errors = e.configErrors || [e.message];
+        for (var i = 0; i < errors.length; i++) {
+            logger.error("- " + errors[i]);
+        }
+        return;
+    }
+    
+    // A running service would keep importing with a configuration meant for a dry run
+    if (newConfig.DRY_RUN.enabled && !CONFIG.DRY_RUN.enabled) {
+        rejectedConfigStamp = stamp;
+        logger.warn("Changed config.json enables dryRun, which requires a restart; keeping the current configuration");
+        return;
+    }
+    
+    var previousConfig = CONFIG;
+    CONFIG = newConfig;
+    configFileStamp = stamp;
+    rejectedConfigStamp = null;
+    configLoadError = null;
+    journal = null; // the journal file may have moved, it is read again on first use
+    supplierData = null;
+    
+    logger.info("Configuration reloaded" + (CONFIG.ENVIRONMENT ? " (environment " + CONFIG.ENVIRONMENT + ")" : "") + ": " +
+        CONFIG.HOTFOLDERS.length + " hotfolder(s), interval " + (CONFIG.INTERVAL / 1000) + " seconds");
+    
+    if (CONFIG.INTERVAL !== previousConfig.INTERVAL) {
+        scheduleRuns();
+    }
+    if (CONFIG.MONITORING.httpPort !== previousConfig.MONITORING.httpPort || CONFIG.MONITORING.bindAddress !== previousConfig.MONITORING.bindAddress) {
+        logger.warn("The monitoring endpoint keeps its address until the service is restarted");
+    }
+}
+
+/**
+ * @return {String} - Modification time and size of config.json, null if it does not exist
+ */
+function getConfigFileStamp() {
+    var configFile = new java.io.File("config.json");
+    return configFile.exists() ? configFile.lastModified() + ":" + configFile.length() : null;
+}
+
+/**
+ * Start the periodic runs with the configured interval, replacing an earlier schedule
+ */
+function scheduleRuns() {
+    if (intervalId !== null) {
+        clearInterval(intervalId);
+    }
+    intervalId = setInterval(function() {
+        processPDFFiles();
+    }, CONFIG.INTERVAL);
+}
+
+/**
+ * Build the hotfolder list from the configured definitions
+ * Settings missing in a definition are inherited from the global settings and file filters.
+ * Without definitions the global settings form a single hotfolder named "default".
+ * @param {Object} config - The configuration whose HOTFOLDER_DEFINITIONS and global settings are used
+ * @return {Array} - Hotfolder objects using the same keys as CONFIG
+ */
+function buildHotfolders(config) {
+    var definitions = config.HOTFOLDER_DEFINITIONS;
+    if (definitions.length === 0) {
+        definitions = [{ name: "default" }];
+    }
+    
+    var hotfolders = [];
+    
+    for (var i = 0; i < definitions.length; i++) {
+        var definition = definitions[i];
+        var filters = definition.fileFilters || {};
+        var sourceDir = definition.sourceDirectory || config.SOURCE_DIR;
+        var name = definition.name || ("hotfolder" + (i + 1));
+        
+        hotfolders.push({
+            NAME: name,
+            SOURCE_DIR: sourceDir,
+            PROCESSED_DIR: definition.processedDirectory || (definition.sourceDirectory ? sourceDir + "\\processed" : config.PROCESSED_DIR),
+            ERROR_DIR: definition.errorDirectory || (definition.sourceDirectory ? sourceDir + "\\error" : config.ERROR_DIR),
+            DUPLICATES_DIR: definition.duplicatesDirectory || (definition.sourceDirectory ? sourceDir + "\\duplicates" : config.DUPLICATES_DIR),
+            METADATA_MASK: definition.metadataMask || config.METADATA_MASK,
+            ARCHIVE_PATH: definition.archivePath || config.ARCHIVE_PATH,
+            WORKFLOW_TEMPLATE: definition.workflowTemplate !== undefined ? definition.workflowTemplate : config.WORKFLOW_TEMPLATE,
+            MAX_FILE_SIZE: filters.maxFileSizeMB ? filters.maxFileSizeMB * 1024 * 1024 : config.MAX_FILE_SIZE,
+            ALLOWED_EXTENSIONS: filters.extensions || config.ALLOWED_EXTENSIONS,
+            MIN_FILE_SIZE: filters.minFileSizeKB !== undefined ? filters.minFileSizeKB * 1024 : config.MIN_FILE_SIZE,
+            INCLUDE_PATTERNS: filters.includePatterns || config.INCLUDE_PATTERNS,
+            EXCLUDE_PATTERNS: filters.excludePatterns || config.EXCLUDE_PATTERNS,
+            INCLUDE_REGEX: filters.includeRegex || config.INCLUDE_REGEX,
+            EXCLUDE_REGEX: filters.excludeRegex || config.EXCLUDE_REGEX,
+            INCLUDE_SUBDIRECTORIES: filters.includeSubdirectories !== undefined ? filters.includeSubdirectories : config.INCLUDE_SUBDIRECTORIES,
+            SPLITTING: definition.splitting || config.SPLITTING,
+            MAILBOX: definition.mailbox || config.MAILBOX,
+            LOG_SCOPE: definition.loggingScope || ("PDFImportService_Enhanced." + name),
+            NOTIFICATION_RECIPIENTS: definition.notificationRecipients || config.NOTIFICATIONS.recipients || []
+        });
+    }
+    
+    return hotfolders;
+}
+
 // Global variables
-var logger = sol.create("sol.Logger", { scope: "PDFImportService_Enhanced" });
+var logger = createDelegatingLogger(sol.create("sol.Logger", { scope: "PDFImportService_Enhanced" })); // switched to the hotfolder scope while a hotfolder is processed
 var fileUtils = sol.create("sol.common.FileUtils");
 var stats = {
     totalProcessed: 0,
     totalErrors: 0,
     lastRun: null,
-    startTime: new Date()
+    lastSuccessfulRun: null,
+    lastRunDuration: 0,
+    startTime: new Date(),
+    hotfolders: {},
+    stages: {} // stage name -> { count, totalMs, lastMs, maxMs }
+};
+var folderCache = {}; // archive path -> folder ID, reset on every run
+var fileObservations = {}; // file path -> { size, modified, since, lockedSince } for the stability check
+var LOCK_WARNING_MINUTES = 30; // a file locked for longer is reported once, e.g. a scanner that never closes it
+var journal = null; // import journal, loaded on first use
+var supplierData = null; // supplier master data and its lookup tables, loaded on first use
+var monitoringServer = null;
+var intervalId = null; // handle of the periodic runs, replaced when the interval changes
+var notificationState = {
+    connectionLost: false,
+    errorTimes: {}, // hotfolder name -> timestamps of recent failures
+    lastAlert: {}, // hotfolder name -> timestamp of the last error alert
+    lastSummaryDate: null,
+    summarySince: new Date(),
+    imports: [],
+    failures: []
+};
+
+// Error codes and their categories, each category has its own subdirectory below the error directory.
+// Files failing with a code without category (null) are not importable and stay where they are.
+var IMPORT_ERROR_CODES = {
+    NOT_IMPORTABLE: null,
+    EMPTY_FILE: "validation",
+    FILE_TOO_SMALL: null,
+    FILE_TOO_LARGE: "validation",
+    INVALID_HEADER: "validation",
+    UNSUPPORTED_FORMAT: "validation",
+    CONVERSION_FAILED: "validation",
+    SPLIT_FAILED: "validation",
+    EXCLUDED: null,
+    COMPANION_INVALID: "validation",
+    MAIL_INVALID: "validation",
+    PDF_TRUNCATED: "validation",
+    PDF_CORRUPT: "validation",
+    PDF_ENCRYPTED: "security",
+    PDF_ACTIVE_CONTENT: "security",
+    MASK_NOT_FOUND: "elo",
+    FOLDER_FAILED: "elo",
+    CHECKIN_FAILED: "elo",
+    UPLOAD_FAILED: "elo",
+    WORKFLOW_FAILED: "workflow",
+    UNKNOWN: "unknown"
 };
 
 /**
  * Main function that processes PDF files with enhanced error handling
  */
 function processPDFFiles() {
+    reloadConfigIfChanged();
+    
     var startTime = new Date();
     stats.lastRun = startTime;
+    folderCache = {};
+    pruneFileObservations();
     
     try {
         logger.info("Starting PDF import process... (Run #" + (stats.totalProcessed + stats.totalErrors + 1) + ")");
         
+        // The summary does not depend on ELO, so it goes out even while the connection is down
+        sendDailySummaryIfDue();
+        
         // Validate ELO connection
         if (!validateELOConnection()) {
             logger.error("ELO connection validation failed");
             return;
         }
         
+        // Finish imports interrupted by a crash or a failed resume before new files are picked up
+        try {
+            reconcileJournal();
+        } catch (journalError) {
+            logger.error("Failed to reconcile the import journal", journalError);
+        }
+        
+        var successCount = 0;
+        var errorCount = 0;
+        
+        // Process each hotfolder
+        for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+            var result = processHotfolder(CONFIG.HOTFOLDERS[h]);
+            successCount += result.successCount;
+            errorCount += result.errorCount;
+        }
+        
+        // A run in which every file failed does not count, otherwise a broken import would never show as degraded
+        if (errorCount === 0 || successCount > 0) {
+            stats.lastSuccessfulRun = new Date();
+        }
+        
+        if (successCount + errorCount === 0) {
+            logger.debug("No valid PDF files found in any hotfolder");
+            return;
+        }
+        
+        var duration = new Date() - startTime;
+        logger.info("PDF import process completed. Success: " + successCount + ", Errors: " + errorCount + ", Duration: " + duration + "ms");
+        
+        // Log statistics every 10 runs
+        if ((stats.totalProcessed + stats.totalErrors) % 10 === 0) {
+            logStatistics();
+        }
+        
+    } catch (e) {
+        logger.error("Critical error in processPDFFiles", e);
+        stats.totalErrors++;
+    } finally {
+        stats.lastRunDuration = new Date() - startTime;
+        writeStatusFile();
+    }
+}
+
+/**
+ * Logger that forwards to a target which can be switched. The logger object itself never changes,
+ * so references kept by callbacks and helpers always log under the current scope.
+ * @param {Object} target - The initial sol.Logger
+ * @return {Object} - Logger with debug, info, warn, error and setTarget(target), which returns the previous target
+ */
+function createDelegatingLogger(target) {
+    var delegatingLogger = {
+        setTarget: function (newTarget) {
+            var previousTarget = target;
+            target = newTarget;
+            return previousTarget;
+        }
+    };
+    
+    ["debug", "info", "warn", "error"].forEach(function (level) {
+        delegatingLogger[level] = function () {
+            return target[level].apply(target, arguments);
+        };
+    });
+    return delegatingLogger;
+}
+
+/**
+ * Process the files of one hotfolder, logging under the hotfolder's own scope
+ * @param {Object} hotfolder - The hotfolder
+ * @return {Object} - successCount and errorCount of this run
+ */
+function processHotfolder(hotfolder) {
+    var result = { successCount: 0, errorCount: 0 };
+    var hotfolderStats = getHotfolderStats(hotfolder);
+    
+    // All helpers log through the global logger, so point it to the hotfolder scope for this run
+    var serviceLogger = logger.setTarget(hotfolder.logger || (hotfolder.logger = sol.create("sol.Logger", { scope: hotfolder.LOG_SCOPE })));
+    
+    try {
+        hotfolderStats.lastRun = new Date();
+        
         // Ensure directories exist
-        ensureDirectoriesExist();
+        ensureDirectoriesExist(hotfolder);
+        
+        // Re-drive failed files that are due or were marked for retry by an operator
+        reprocessErrorDirectory(hotfolder, result);
+        
+        // Mail attachments are imported right away, they do not pass through the source directory
+        if (hotfolder.MAILBOX.enabled) {
+            processMailbox(hotfolder, result);
+        }
         
         // Get list of valid PDF files
-        var pdfFiles = getValidPDFFiles(CONFIG.SOURCE_DIR);
+        var scanStart = new Date().getTime();
+        var pdfFiles = getValidPDFFiles(hotfolder);
+        recordStageDuration("scan", scanStart);
         
         if (pdfFiles.length === 0) {
-            logger.debug("No valid PDF files found in source directory");
-            return;
+            logger.debug("No valid PDF files found in source directory: " + hotfolder.SOURCE_DIR);
+            return result;
         }
         
-        logger.info("Found " + pdfFiles.length + " valid PDF files to process");
-        
-        var successCount = 0;
-        var errorCount = 0;
+        logger.info("Found " + pdfFiles.length + " valid PDF files to process in hotfolder " + hotfolder.NAME);
         
         // Process each PDF file
         for (var i = 0; i < pdfFiles.length; i++) {
+            if (isWaitingForSidecar(pdfFiles[i])) {
+                logger.debug("Waiting for sidecar file of: " + pdfFiles[i].getName());
+                continue;
+            }
+            if (isWaitingForCompanions(pdfFiles[i])) {
+                logger.debug("Waiting for companion files of: " + pdfFiles[i].getName());
+                continue;
+            }
+            
             try {
-                if (processSinglePDFWithRetry(pdfFiles[i])) {
-                    successCount++;
-                    stats.totalProcessed++;
+                // Parts of a split batch are written to the source directory and imported in the next run
+                if (hotfolder.SPLITTING.enabled && splitBatchFile(pdfFiles[i], hotfolder)) {
+                    continue;
+                }
+                
+                if (processSinglePDFWithRetry(pdfFiles[i], hotfolder)) {
+                    result.successCount++;
                 } else {
-                    errorCount++;
-                    stats.totalErrors++;
+                    result.errorCount++;
                 }
             } catch (e) {
                 logger.error("Unhandled error processing file: " + pdfFiles[i].getName(), e);
-                moveFileToErrorDir(pdfFiles[i]);
-                errorCount++;
-                stats.totalErrors++;
+                moveFileToErrorDir(pdfFiles[i], hotfolder, classifyError(e), {});
+                result.errorCount++;
             }
         }
         
-        var duration = new Date() - startTime;
-        logger.info("PDF import process completed. Success: " + successCount + ", Errors: " + errorCount + ", Duration: " + duration + "ms");
-        
-        // Log statistics every 10 runs
-        if ((stats.totalProcessed + stats.totalErrors) % 10 === 0) {
-            logStatistics();
-        }
+        logger.info("Hotfolder " + hotfolder.NAME + " completed. Success: " + result.successCount + ", Errors: " + result.errorCount);
         
     } catch (e) {
-        logger.error("Critical error in processPDFFiles", e);
-        stats.totalErrors++;
+        logger.error("Error processing hotfolder: " + hotfolder.NAME, e);
+        result.errorCount++;
+    } finally {
+        logger.setTarget(serviceLogger);
+        
+        stats.totalProcessed += result.successCount;
+        stats.totalErrors += result.errorCount;
+        hotfolderStats.totalProcessed += result.successCount;
+        hotfolderStats.totalErrors += result.errorCount;
+        updateQueueMetrics(hotfolder, hotfolderStats);
+    }
+    
+    return result;
+}
+
+/**
+ * @param {Object} hotfolder - The hotfolder
+ * @return {Object} - Statistics entry of the hotfolder, created on first use
+ */
+function getHotfolderStats(hotfolder) {
+    if (!stats.hotfolders[hotfolder.NAME]) {
+        stats.hotfolders[hotfolder.NAME] = {
+            totalProcessed: 0,
+            totalErrors: 0,
+            lastRun: null,
+            queueDepth: 0,
+            errorFiles: 0
+        };
     }
+    return stats.hotfolders[hotfolder.NAME];
 }
 
 /**
  * Process a single PDF file with retry mechanism
+ * A file that still fails after retryAttempts attempts is re-driven from the error directory if reprocessing is enabled.
  * @param {File} pdfFile - The PDF file to process
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @param {Object} previousReport - Error report of an earlier failure when the file is re-driven
+ * @param {Object} mail - Sender, subject, received date and archived copy of the mail the file came with, if any
  * @return {boolean} - Success status
  */
-function processSinglePDFWithRetry(pdfFile) {
+function processSinglePDFWithRetry(pdfFile, hotfolder, previousReport, mail) {
     var attempts = 0;
+    var maxAttempts = CONFIG.RETRY_ATTEMPTS;
     var lastError = null;
+    var context = null;
+    var firstAttempt = new Date().toISOString();
     
-    while (attempts < CONFIG.RETRY_ATTEMPTS) {
+    while (attempts < maxAttempts) {
         try {
             attempts++;
-            logger.info("Processing file: " + pdfFile.getName() + " (Attempt " + attempts + "/" + CONFIG.RETRY_ATTEMPTS + ")");
+            logger.info("Processing file: " + pdfFile.getName() + " (Attempt " + attempts + "/" + maxAttempts + ")");
+            
+            var stageStart = new Date().getTime();
+            if (!context) {
+                context = createImportContext(pdfFile, hotfolder, mail || (previousReport ? previousReport.mail : null));
+                updateJournal(context, "DETECTED");
+                recordStageDuration("analyze", stageStart);
+            }
+            
+            // Check for an already archived copy before creating a new Sord
+            stageStart = new Date().getTime();
+            var duplicateId = findDuplicateSord(context);
+            recordStageDuration("duplicateCheck", stageStart);
+            if (duplicateId && handleDuplicate(context, duplicateId)) {
+                updateJournal(context, "MOVED", { duplicateOf: duplicateId });
+                return true;
+            }
             
             // Import file to ELO
-            var sordId = importFileToELOWithValidation(pdfFile);
+            stageStart = new Date().getTime();
+            var sordId = importFileToELOWithValidation(pdfFile, context);
+            recordStageDuration("import", stageStart);
             
             if (sordId) {
-                // Start workflow (non-critical, continue even if it fails)
+                // Start workflow
                 try {
-                    startWorkflowWithRetry(sordId);
+                    stageStart = new Date().getTime();
+                    var workflowId = startWorkflowWithRetry(sordId, context.route.workflowTemplate, context.workflowStart);
+                    recordStageDuration("workflow", stageStart);
+                    updateJournal(context, "WORKFLOW_STARTED", { workflowId: workflowId });
                 } catch (wfError) {
-                    logger.warn("Workflow start failed for Sord ID: " + sordId + ", but import was successful", wfError);
+                    // The document is archived, so the file is quarantined instead of imported again
+                    logger.error("Workflow start failed for Sord ID: " + sordId + ", document is archived but needs a workflow", wfError);
+                    var workflowError = createImportError("WORKFLOW_FAILED", "Workflow " + context.route.workflowTemplate + " could not be started: " + wfError.message, wfError);
+                    moveFileToErrorDir(pdfFile, hotfolder, workflowError, { attempts: attempts, firstAttempt: firstAttempt, sordId: sordId, context: context, previousReport: previousReport });
+                    updateJournal(context, "FAILED", { error: workflowError.message });
+                    return false;
                 }
                 
                 // Move file to processed directory
-                moveFileToProcessedDir(pdfFile);
+                stageStart = new Date().getTime();
+                moveFileToProcessedDir(pdfFile, hotfolder);
+                recordStageDuration("move", stageStart);
+                updateJournal(context, "MOVED");
+                recordImport(context, sordId, workflowId);
                 
                 logger.info("Successfully processed file: " + pdfFile.getName() + " (Sord ID: " + sordId + ")");
                 return true;
@@ -164,10 +1200,15 @@ function processSinglePDFWithRetry(pdfFile) {
             }
             
         } catch (e) {
-            lastError = e;
+            lastError = classifyError(e);
             logger.warn("Attempt " + attempts + " failed for file: " + pdfFile.getName() + " - " + e.message);
             
-            if (attempts < CONFIG.RETRY_ATTEMPTS) {
+            // Retrying does not change the outcome of a failed validation
+            if (lastError.category === "validation" || lastError.category === "security") {
+                break;
+            }
+            
+            if (attempts < maxAttempts) {
                 // Wait before retry (exponential backoff)
                 var waitTime = Math.pow(2, attempts) * 1000;
                 logger.info("Waiting " + waitTime + "ms before retry...");
@@ -177,470 +1218,5240 @@ function processSinglePDFWithRetry(pdfFile) {
     }
     
     // All attempts failed
-    logger.error("All " + CONFIG.RETRY_ATTEMPTS + " attempts failed for file: " + pdfFile.getName(), lastError);
-    moveFileToErrorDir(pdfFile);
+    logger.error(attempts + " attempt(s) failed for file: " + pdfFile.getName() + " [" + lastError.code + "]", lastError);
+    moveFileToErrorDir(pdfFile, hotfolder, lastError, { attempts: attempts, firstAttempt: firstAttempt, context: context, previousReport: previousReport });
+    if (context) {
+        updateJournal(context, "FAILED", { error: String(lastError && lastError.message) });
+    }
     return false;
 }
 
 /**
- * Import PDF file to ELO Archive with enhanced validation
- * @param {File} pdfFile - The PDF file to import
- * @return {String} - The Sord ID of the imported document
+ * Collect everything known about a file before it is imported
+ * @param {File} pdfFile - The PDF file
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @param {Object} mail - Optional mail the file was attached to
+ * @return {Object} - Import context with file, content hash and extracted metadata
  */
-function importFileToELOWithValidation(pdfFile) {
-    try {
-        // Validate file before import
-        if (!validatePDFFile(pdfFile)) {
-            throw new Error("File validation failed");
+function createImportContext(pdfFile, hotfolder, mail) {
+    var context = {
+        file: pdfFile,
+        hotfolder: hotfolder,
+        subdirectory: getRelativeSubdirectory(pdfFile, hotfolder.SOURCE_DIR),
+        hash: computeFileHash(pdfFile),
+        format: detectFileFormat(pdfFile),
+        text: "",
+        metadata: {},
+        sidecarValues: {},
+        companions: CONFIG.COMPANION_FILES.enabled ? findCompanionFiles(pdfFile) : [],
+        mail: mail || null,
+        eInvoice: null,
+        batch: null,
+        barcodes: [],
+        paymentCode: null,
+        supplier: null,
+        duplicateOf: null,
+        route: null,
+        workflowStart: null
+    };
+    
+    if (hotfolder.SPLITTING.enabled && context.format === "pdf") {
+        context.batch = readBatchInfo(pdfFile);
+    }
+    
+    if (context.format === "pdf" && (CONFIG.METADATA_EXTRACTION.enabled || routingNeedsText())) {
+        context.text = extractPDFText(pdfFile, CONFIG.METADATA_EXTRACTION.maxPages || 0);
+    }
+    
+    if (CONFIG.METADATA_EXTRACTION.enabled) {
+        context.metadata = extractInvoiceMetadata(pdfFile, context.text);
+    }
+    
+    if (context.mail) {
+        context.metadata.mailFrom = context.mail.from;
+        context.metadata.mailSubject = context.mail.subject;
+        context.metadata.mailReceived = null;
+        if (context.mail.received) {
+            // The timestamp is UTC, a mail received shortly after midnight belongs to the local day
+            var received = new Date(context.mail.received);
+            context.metadata.mailReceived = received.getFullYear() + padNumber(received.getMonth() + 1) + padNumber(received.getDate());
+        }
+    }
+    
+    // Barcode values are structured and replace values extracted from the text
+    if (CONFIG.BARCODES.enabled && context.format !== "xml") {
+        applyBarcodes(context);
+    }
+    
+    if (CONFIG.SIDECAR.enabled) {
+        applySidecarFile(context);
+    }
+    
+    // Structured e-invoice data is authoritative and replaces extracted and sidecar values
+    if (CONFIG.E_INVOICE.enabled && (context.format === "pdf" || context.format === "xml")) {
+        applyEInvoice(context);
+    }
+    
+    if (CONFIG.SUPPLIER_LOOKUP.enabled) {
+        applySupplierLookup(context);
+    }
+    
+    context.route = resolveRoute(context);
+    context.workflowStart = createWorkflowStart(context);
+    
+    return context;
+}
+
+/**
+ * Look up the supplier in the master data and add its supplier number, cost center, approver, payment terms
+ * and further configured columns to the metadata. The supplier name is replaced by the master data spelling,
+ * VAT ID and IBAN from the document are kept and only filled in if missing.
+ * @param {Object} context - The import context
+ */
+function applySupplierLookup(context) {
+    var data = getSupplierData();
+    if (!data) {
+        return;
+    }
+    
+    var match = findSupplier(context.metadata, data);
+    if (!match) {
+        logger.info("No supplier master data found for " + context.file.getName() + " (supplier: " + (context.metadata.supplierName || "-") +
+            ", VAT ID: " + (context.metadata.vatId || "-") + ", IBAN: " + (context.metadata.iban || "-") + ")");
+        return;
+    }
+    
+    context.supplier = match;
+    for (var key in match.record) {
+        var value = match.record[key];
+        if (!value) {
+            continue;
+        }
+        if (key === "name") {
+            if (CONFIG.SUPPLIER_LOOKUP.overwriteSupplierName !== false || !context.metadata.supplierName) {
+                context.metadata.supplierName = value;
+            }
+        } else if (key === "vatId" || key === "iban") {
+            context.metadata[key] = context.metadata[key] || value;
+        } else {
+            context.metadata[key] = value;
+        }
+    }
+    
+    logger.info("Supplier " + match.record.supplierNumber + " (" + match.record.name + ") matched by " + match.matchedBy +
+        (match.matchedBy === "name" ? " with similarity " + match.score.toFixed(2) : "") + ": " + context.file.getName());
+}
+
+/**
+ * @param {Object} metadata - Extracted metadata with supplierName, vatId and iban
+ * @param {Object} data - Supplier master data from getSupplierData
+ * @return {Object} - record, matchedBy ("vatId", "iban" or "name") and score, or null
+ */
+function findSupplier(metadata, data) {
+    var vatId = metadata.vatId ? normalizeSupplierId(metadata.vatId) : "";
+    if (vatId && data.byVatId[vatId]) {
+        return { record: data.byVatId[vatId], matchedBy: "vatId", score: 1 };
+    }
+    
+    var iban = metadata.iban ? normalizeSupplierId(metadata.iban) : "";
+    if (iban && data.byIban[iban]) {
+        return { record: data.byIban[iban], matchedBy: "iban", score: 1 };
+    }
+    
+    var name = metadata.supplierName ? normalizeSupplierName(metadata.supplierName) : "";
+    if (!name) {
+        return null;
+    }
+    if (data.byName[name]) {
+        return { record: data.byName[name], matchedBy: "name", score: 1 };
+    }
+    
+    // Fuzzy match: similarity is 1 minus the edit distance relative to the longer name
+    var threshold = CONFIG.SUPPLIER_LOOKUP.nameSimilarity !== undefined ? CONFIG.SUPPLIER_LOOKUP.nameSimilarity : 0.85;
+    var best = null;
+    for (var normalizedName in data.byName) {
+        var maxLength = Math.max(name.length, normalizedName.length);
+        if (Math.abs(name.length - normalizedName.length) > maxLength * (1 - threshold)) {
+            continue;
+        }
+        var score = 1 - getEditDistance(name, normalizedName) / maxLength;
+        if (score >= threshold && (!best || score > best.score)) {
+            best = { record: data.byName[normalizedName], matchedBy: "name", score: score };
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {String} value - VAT ID or IBAN
+ * @return {String} - Upper case value without spaces, dots and dashes
+ */
+function normalizeSupplierId(value) {
+    return String(value).replace(/[\s.\-]/g, "").toUpperCase();
+}
+
+/**
+ * @param {String} name - Supplier name
+ * @return {String} - Lower case name without punctuation, "und"/"and" and legal form, for comparisons
+ */
+function normalizeSupplierName(name) {
+    return String(name).toLowerCase()
+        .replace(/[.,;:&+\-\/()"']/g, " ")
+        .replace(/\b(gmbh|mbh|ag|kg|kgaa|ohg|gbr|ug|se|e k|e v|co|ltd|limited|inc|llc|plc|sarl|sa|bv|nv|haftungsbeschränkt|und|and)\b/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Supplier master data, loaded on first use and again after refreshMinutes or when the CSV file changes.
+ * If reloading fails the previous data stays in use.
+ * @return {Object} - records and lookup tables byVatId, byIban and byName, or null if no data could be loaded
+ */
+function getSupplierData() {
+    var settings = CONFIG.SUPPLIER_LOOKUP;
+    var csvFile = settings.source !== "jdbc" ? new java.io.File((settings.csv || {}).file || "") : null;
+    var csvModified = csvFile ? csvFile.lastModified() : 0;
+    var now = new Date().getTime();
+    
+    if (supplierData && now - supplierData.loadedAt < (settings.refreshMinutes || 60) * 60000 && supplierData.csvModified === csvModified) {
+        return supplierData;
+    }
+    
+    try {
+        var rows = csvFile ? readSupplierCsv(csvFile, settings.csv) : readSupplierTable(settings.jdbc || {});
+        supplierData = createSupplierIndex(rows, settings.columns);
+        supplierData.loadedAt = now;
+        supplierData.csvModified = csvModified;
+        logger.info("Loaded " + supplierData.records.length + " suppliers from " + (csvFile ? csvFile.getAbsolutePath() : settings.jdbc.url));
+    } catch (e) {
+        logger.error("Could not load supplier master data" + (supplierData ? ", using the data loaded before" : ""), e);
+        
+        // Try again after refreshMinutes or when the CSV file changes, not for every file
+        supplierData = supplierData || createSupplierIndex([], {});
+        supplierData.loadedAt = now;
+        supplierData.csvModified = csvModified;
+    }
+    return supplierData;
+}
+
+/**
+ * @param {File} file - CSV export with a header line
+ * @param {Object} csv - delimiter and encoding
+ * @return {Array} - One object per line, keyed by column header
+ */
+function readSupplierCsv(file, csv) {
+    var content = String(sol.common.FileUtils.readFileToString(file, csv.encoding || "UTF-8")).replace(/^\uFEFF/, "");
+    var delimiter = csv.delimiter || ";";
+    var lines = content.split(/\r?\n/).filter(function (line) {
+        return line.trim() !== "";
+    });
+    var headers = lines.length > 0 ? splitCsvLine(lines[0], delimiter) : [];
+    var rows = [];
+    
+    for (var i = 1; i < lines.length; i++) {
+        var values = splitCsvLine(lines[i], delimiter);
+        var row = {};
+        for (var j = 0; j < headers.length; j++) {
+            row[headers[j]] = values[j] !== undefined ? values[j] : "";
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * @param {Object} jdbc - driver, url, username, password and query
+ * @return {Array} - One object per result row, keyed by column label
+ */
+function readSupplierTable(jdbc) {
+    if (jdbc.driver) {
+        java.lang.Class.forName(jdbc.driver);
+    }
+    
+    var connection = java.sql.DriverManager.getConnection(jdbc.url, jdbc.username || null, jdbc.password || null);
+    try {
+        var resultSet = connection.createStatement().executeQuery(jdbc.query);
+        var columns = resultSet.getMetaData();
+        var rows = [];
+        
+        while (resultSet.next()) {
+            var row = {};
+            for (var i = 1; i <= columns.getColumnCount(); i++) {
+                var value = resultSet.getString(i);
+                row[String(columns.getColumnLabel(i))] = value === null ? "" : String(value).trim();
+            }
+            rows.push(row);
+        }
+        return rows;
+    } finally {
+        connection.close();
+    }
+}
+
+/**
+ * @param {Array} rows - Rows of the master data source
+ * @param {Object} columns - Map of supplier key (supplierNumber, name, vatId, iban, ...) to source column
+ * @return {Object} - records and the lookup tables byVatId, byIban and byName
+ */
+function createSupplierIndex(rows, columns) {
+    var data = { records: [], byVatId: {}, byIban: {}, byName: {} };
+    
+    for (var i = 0; i < rows.length; i++) {
+        var record = {};
+        for (var key in columns) {
+            record[key] = rows[i][columns[key]] !== undefined ? String(rows[i][columns[key]]).trim() : "";
+        }
+        if (!record.supplierNumber) {
+            continue;
+        }
+        
+        data.records.push(record);
+        if (record.vatId) {
+            data.byVatId[normalizeSupplierId(record.vatId)] = record;
+        }
+        if (record.iban) {
+            data.byIban[normalizeSupplierId(record.iban)] = record;
+        }
+        if (record.name) {
+            data.byName[normalizeSupplierName(record.name)] = record;
+        }
+    }
+    return data;
+}
+
+/**
+ * Resolve the workflow name, the workflow variables and the node user assignments for a file. The result
+ * only holds strings, so the journal and error reports can keep it for a later workflow start.
+ * @param {Object} context - The import context
+ * @return {Object} - name, variables (map field -> value) and assignments (node, user)
+ */
+function createWorkflowStart(context) {
+    var settings = CONFIG.WORKFLOW;
+    var workflowStart = {
+        name: settings.nameTemplate ? resolvePlaceholders(settings.nameTemplate, context).replace(/\s+/g, " ").trim() : "",
+        variables: {},
+        assignments: []
+    };
+    
+    var variables = settings.variables || {};
+    for (var field in variables) {
+        var value = resolvePlaceholders(variables[field], context);
+        if (value !== "") {
+            workflowStart.variables[field] = value;
+        }
+    }
+    
+    if (context.supplier) {
+        var supplierVariables = CONFIG.SUPPLIER_LOOKUP.workflowVariables || {};
+        for (var key in supplierVariables) {
+            var supplierValue = key === "name" ? context.metadata.supplierName : context.metadata[key];
+            if (supplierValue) {
+                workflowStart.variables[supplierVariables[key]] = String(supplierValue);
+            }
+        }
+    }
+    
+    var assignments = settings.nodeAssignments || [];
+    for (var i = 0; i < assignments.length; i++) {
+        var user = (assignments[i].user ? resolvePlaceholders(assignments[i].user, context).trim() : "") || assignments[i].fallbackUser;
+        if (user) {
+            workflowStart.assignments.push({ node: assignments[i].node, user: user });
+        }
+    }
+    
+    return workflowStart;
+}
+
+/**
+ * Select mask, archive folder, workflow and Sord name from the first matching routing rule
+ * @param {Object} context - The import context
+ * @return {Object} - Route with ruleName, metadataMask, archivePath, workflowTemplate and sordName
+ */
+function resolveRoute(context) {
+    var route = {
+        ruleName: null,
+        metadataMask: context.hotfolder.METADATA_MASK,
+        archivePath: context.hotfolder.ARCHIVE_PATH,
+        workflowTemplate: context.hotfolder.WORKFLOW_TEMPLATE,
+        sordName: "{basename}"
+    };
+    
+    for (var i = 0; i < CONFIG.ROUTING_RULES.length; i++) {
+        var rule = CONFIG.ROUTING_RULES[i];
+        
+        if (!matchesRoutingRule(rule.match || {}, context)) {
+            continue;
+        }
+        
+        route.ruleName = rule.name || ("#" + (i + 1));
+        if (rule.metadataMask !== undefined) {
+            route.metadataMask = rule.metadataMask;
+        }
+        if (rule.archivePath !== undefined) {
+            route.archivePath = rule.archivePath;
+        }
+        if (rule.workflowTemplate !== undefined) {
+            route.workflowTemplate = rule.workflowTemplate;
+        }
+        if (rule.sordName !== undefined) {
+            route.sordName = rule.sordName;
+        }
+        
+        logger.info("Routing rule '" + route.ruleName + "' matched for: " + context.file.getName());
+        return route;
+    }
+    
+    logger.debug("No routing rule matched, using defaults for: " + context.file.getName());
+    return route;
+}
+
+/**
+ * Check whether all criteria of a routing rule match the file
+ * @param {Object} match - Rule criteria
+ * @param {Object} context - The import context
+ * @return {boolean} - true if every given criterion matches
+ */
+function matchesRoutingRule(match, context) {
+    var fileName = String(context.file.getName());
+    var fileSizeKB = context.file.length() / 1024;
+    
+    if (match.hotfolder && [].concat(match.hotfolder).indexOf(context.hotfolder.NAME) === -1) {
+        return false;
+    }
+    if (match.filename && !globToRegExp(match.filename).test(fileName)) {
+        return false;
+    }
+    if (match.filenameRegex && !new RegExp(match.filenameRegex, "i").test(fileName)) {
+        return false;
+    }
+    if (match.subdirectory !== undefined && !globToRegExp(match.subdirectory).test(context.subdirectory)) {
+        return false;
+    }
+    if (match.minSizeKB !== undefined && fileSizeKB < match.minSizeKB) {
+        return false;
+    }
+    if (match.maxSizeKB !== undefined && fileSizeKB > match.maxSizeKB) {
+        return false;
+    }
+    if (match.textContains) {
+        var text = context.text.toLowerCase();
+        var keywords = [].concat(match.textContains);
+        var found = false;
+        for (var i = 0; i < keywords.length; i++) {
+            if (text.indexOf(keywords[i].toLowerCase()) !== -1) {
+                found = true;
+                break;
+            }
+        }
+        if (!found) {
+            return false;
+        }
+    }
+    if (match.textRegex && !new RegExp(match.textRegex, "im").test(context.text)) {
+        return false;
+    }
+    if (match.eInvoice !== undefined && match.eInvoice !== !!context.eInvoice) {
+        return false;
+    }
+    if (match.barcode) {
+        var barcodePattern = new RegExp(match.barcode, "im");
+        var barcodeFound = false;
+        for (var j = 0; j < context.barcodes.length; j++) {
+            if (barcodePattern.test(context.barcodes[j].text)) {
+                barcodeFound = true;
+                break;
+            }
+        }
+        if (!barcodeFound) {
+            return false;
+        }
+    }
+    if (match.paymentCode !== undefined) {
+        var paymentType = context.paymentCode ? context.paymentCode.type : null;
+        var paymentMatches = typeof match.paymentCode === "boolean" ? match.paymentCode === !!paymentType : match.paymentCode === paymentType;
+        if (!paymentMatches) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * @return {boolean} - true if any routing rule matches on the document text
+ */
+function routingNeedsText() {
+    for (var i = 0; i < CONFIG.ROUTING_RULES.length; i++) {
+        var match = CONFIG.ROUTING_RULES[i].match || {};
+        if (match.textContains || match.textRegex) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Convert a glob pattern to a case-insensitive regular expression. * and ? do not match "/", ** matches
+ * any number of directories and [abc], [a-z] and [!abc] are character classes. Backslashes are read as
+ * path separators, so Windows paths can be used in patterns.
+ * @param {String} glob - The glob pattern
+ * @return {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob) {
+    var pattern = glob.replace(/\\/g, "/");
+    var regex = "";
+    
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern.charAt(i);
+        if (c === "*") {
+            if (pattern.charAt(i + 1) !== "*") {
+                regex += "[^/]*";
+            } else if (pattern.charAt(i + 2) === "/") {
+                // "**/" also matches no directory at all
+                regex += "(?:.*/)?";
+                i += 2;
+            } else {
+                regex += ".*";
+                i++;
+            }
+        } else if (c === "?") {
+            regex += "[^/]";
+        } else if (c === "[" && findClassEnd(pattern, i) !== -1) {
+            var end = findClassEnd(pattern, i);
+            var members = pattern.substring(i + 1, end);
+            var negate = members.charAt(0) === "!" || members.charAt(0) === "^";
+            if (negate) {
+                members = members.substring(1);
+            }
+            regex += (negate ? "[^" : "[") + members.replace(/[\\\[\]^]/g, "\\$&") + "]";
+            i = end;
+        } else if ("\\^$.|+()[]{}/".indexOf(c) !== -1) {
+            regex += "\\" + c;
+        } else {
+            regex += c;
+        }
+    }
+    
+    return new RegExp("^" + regex + "$", "i");
+}
+
+/**
+ * Find the closing bracket of a glob character class, a "]" directly after "[" or "[!" is a member
+ * @param {String} pattern - The glob pattern
+ * @param {Number} start - Index of the opening bracket
+ * @return {Number} - Index of the closing bracket or -1 if the class is not closed
+ */
+function findClassEnd(pattern, start) {
+    var i = start + 1;
+    if (pattern.charAt(i) === "!" || pattern.charAt(i) === "^") {
+        i++;
+    }
+    return pattern.indexOf("]", i + 1);
+}
+
+/**
+ * Find the first glob pattern or regular expression matching a file. Patterns containing "/" are matched
+ * against the path relative to the source directory, all others against the file name.
+ * @param {String} fileName - The file name
+ * @param {String} relativePath - Path relative to the source directory with "/" as separator
+ * @param {Array} globs - Glob patterns
+ * @param {Array} regexes - Regular expressions, matched case-insensitively against the relative path
+ * @return {String} - Description of the matching rule or null
+ */
+function findMatchingFilter(fileName, relativePath, globs, regexes) {
+    for (var i = 0; i < globs.length; i++) {
+        var subject = globs[i].replace(/\\/g, "/").indexOf("/") !== -1 ? relativePath : fileName;
+        if (globToRegExp(globs[i]).test(subject)) {
+            return "pattern '" + globs[i] + "'";
+        }
+    }
+    for (var j = 0; j < regexes.length; j++) {
+        if (new RegExp(regexes[j], "i").test(relativePath)) {
+            return "regex '" + regexes[j] + "'";
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the include and exclude filters of a hotfolder. Exclude filters win over include filters, without
+ * include filters every file is included.
+ * @param {java.io.File} file - The file
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @return {Object} - Import error or null if the file passes the filters
+ */
+function checkFileFilters(file, hotfolder) {
+    var fileName = String(file.getName());
+    var subdirectory = getRelativeSubdirectory(file, hotfolder.SOURCE_DIR);
+    var relativePath = subdirectory ? subdirectory + "/" + fileName : fileName;
+    
+    var excludedBy = findMatchingFilter(fileName, relativePath, hotfolder.EXCLUDE_PATTERNS, hotfolder.EXCLUDE_REGEX);
+    if (excludedBy) {
+        logger.debug("File excluded by " + excludedBy + ": " + relativePath);
+        return createImportError("EXCLUDED", "File excluded by " + excludedBy);
+    }
+    
+    if (hotfolder.INCLUDE_PATTERNS.length === 0 && hotfolder.INCLUDE_REGEX.length === 0) {
+        return null;
+    }
+    
+    var includedBy = findMatchingFilter(fileName, relativePath, hotfolder.INCLUDE_PATTERNS, hotfolder.INCLUDE_REGEX);
+    if (!includedBy) {
+        logger.debug("File matches no include filter: " + relativePath);
+        return createImportError("NOT_IMPORTABLE", "File matches no include filter");
+    }
+    logger.debug("File included by " + includedBy + ": " + relativePath);
+    return null;
+}
+
+/**
+ * Replace {placeholder} tokens with file properties, the import date and extracted metadata
+ * @param {String} template - Text with placeholders
+ * @param {Object} context - The import context
+ * @param {Function} valueFilter - Optional function applied to every substituted value
+ * @return {String} - Resolved text, unknown placeholders become empty
+ */
+function resolvePlaceholders(template, context, valueFilter) {
+    var fileName = String(context.file.getName());
+    var now = new Date();
+    var values = {
+        filename: fileName,
+        basename: fileName.lastIndexOf('.') > 0 ? fileName.substring(0, fileName.lastIndexOf('.')) : fileName,
+        subdirectory: context.subdirectory,
+        hotfolder: context.hotfolder ? context.hotfolder.NAME : "",
+        mask: context.route ? context.route.metadataMask : "",
+        rule: context.route ? context.route.ruleName || "" : "",
+        batchFile: context.batch ? context.batch.file : "",
+        batchPart: context.batch ? context.batch.part : "",
+        supplier: context.metadata.supplierName,
+        yyyy: String(now.getFullYear()),
+        MM: padNumber(now.getMonth() + 1),
+        dd: padNumber(now.getDate())
+    };
+    
+    return template.replace(/\{(\w+)\}/g, function (token, key) {
+        var value = values[key] !== undefined ? values[key] : context.metadata[key];
+        if (value === undefined || value === null) {
+            return "";
+        }
+        return valueFilter ? valueFilter(String(value)) : String(value);
+    });
+}
+
+/**
+ * Find the sidecar metadata file that belongs to a PDF (same base name, sidecar extension)
+ * @param {File} pdfFile - The PDF file
+ * @return {File} - The sidecar file or null
+ */
+function findSidecarFile(pdfFile) {
+    if (!CONFIG.SIDECAR.enabled) {
+        return null;
+    }
+    
+    var fileName = String(pdfFile.getName());
+    var baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+    var extensions = CONFIG.SIDECAR.extensions || [".xml", ".json", ".csv"];
+    
+    for (var i = 0; i < extensions.length; i++) {
+        var candidates = [extensions[i].toLowerCase(), extensions[i].toUpperCase()];
+        for (var j = 0; j < candidates.length; j++) {
+            var sidecarFile = new java.io.File(pdfFile.getParentFile(), baseName + candidates[j]);
+            if (sidecarFile.isFile() && String(sidecarFile.getName()).toLowerCase() !== fileName.toLowerCase()) {
+                return sidecarFile;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * A standalone XML file may be an XRechnung; it only counts as a sidecar if a PDF or image with the same base name exists
+ * @param {File} file - A file from the source directory
+ * @return {boolean} - true if the file has one of the sidecar extensions and is not imported itself
+ */
+function isSidecarFile(file) {
+    if (!CONFIG.SIDECAR.enabled) {
+        return false;
+    }
+    
+    var fileName = String(file.getName()).toLowerCase();
+    var extensions = CONFIG.SIDECAR.extensions || [".xml", ".json", ".csv"];
+    
+    for (var i = 0; i < extensions.length; i++) {
+        if (fileName.endsWith(extensions[i].toLowerCase())) {
+            if (isXmlFile(file) && CONFIG.E_INVOICE.enabled && CONFIG.E_INVOICE.importXmlFiles) {
+                var baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+                return !!findDocumentFile(file.getParentFile(), baseName, [".xml"]);
+            }
+            return true;
+        }
+    }
+    return false;
+}
+
+// File name extensions of documents that can be imported, in the order they are looked up
+var DOCUMENT_EXTENSIONS = [".pdf", ".tif", ".tiff", ".jpg", ".jpeg", ".png", ".xml"];
+
+/**
+ * @param {File} dir - Directory to look in
+ * @param {String} baseName - File name without extension
+ * @param {Array} excludedExtensions - Optional extensions that are not looked up
+ * @return {File} - The first document file with this base name, or null
+ */
+function findDocumentFile(dir, baseName, excludedExtensions) {
+    for (var i = 0; i < DOCUMENT_EXTENSIONS.length; i++) {
+        if (excludedExtensions && excludedExtensions.indexOf(DOCUMENT_EXTENSIONS[i]) !== -1) {
+            continue;
+        }
+        var candidates = [DOCUMENT_EXTENSIONS[i], DOCUMENT_EXTENSIONS[i].toUpperCase()];
+        for (var j = 0; j < candidates.length; j++) {
+            var file = new java.io.File(dir, baseName + candidates[j]);
+            if (file.isFile()) {
+                return file;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * A PDF without sidecar is held back until its sidecar arrives or the configured wait time has passed
+ * @param {File} pdfFile - The PDF file
+ * @return {boolean} - true if the PDF should not be processed in this run
+ */
+function isWaitingForSidecar(pdfFile) {
+    if (!CONFIG.SIDECAR.enabled) {
+        return false;
+    }
+    
+    var sidecarFile = findSidecarFile(pdfFile);
+    if (sidecarFile) {
+        return !isFileReady(sidecarFile);
+    }
+    
+    var age = new Date().getTime() - pdfFile.lastModified();
+    return age < (CONFIG.SIDECAR.waitSeconds || 0) * 1000;
+}
+
+/**
+ * Match a file name against the companion rules. The first capturing group of a rule's pattern
+ * is the base name of the main document, e.g. ^(.+)_anlage\d*$ for INV123_anlage1.pdf.
+ * @param {File} file - A file
+ * @return {Object} - rule, mainBaseName and suffix (the rest of the name after the main base name), or null
+ */
+function matchCompanionRule(file) {
+    var fileName = String(file.getName());
+    var dotIndex = fileName.lastIndexOf('.');
+    var baseName = dotIndex > 0 ? fileName.substring(0, dotIndex) : fileName;
+    var rules = CONFIG.COMPANION_FILES.rules || [];
+    
+    for (var i = 0; i < rules.length; i++) {
+        var match = new RegExp(rules[i].pattern, "i").exec(baseName);
+        if (match && match[1] && match[1] !== baseName && baseName.indexOf(match[1]) === 0) {
+            return { rule: rules[i], mainBaseName: match[1], suffix: fileName.substring(match[1].length) };
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {File} file - A file
+ * @return {File} - The main document the file belongs to, null if the file is no companion or its main document is missing
+ */
+function findCompanionMain(file) {
+    if (!CONFIG.COMPANION_FILES.enabled) {
+        return null;
+    }
+    
+    var match = matchCompanionRule(file);
+    return match ? findDocumentFile(file.getParentFile(), match.mainBaseName) : null;
+}
+
+/**
+ * A companion file is imported together with its main document and is not imported on its own
+ * @param {File} file - A file from the source or error directory
+ * @return {boolean} - true if the file belongs to a main document next to it
+ */
+function isCompanionFile(file) {
+    return !!findCompanionMain(file);
+}
+
+/**
+ * @param {File} mainFile - The main document
+ * @return {Array} - Its companion files, sorted by name
+ */
+function findCompanionFiles(mainFile) {
+    var companions = [];
+    var files = mainFile.getParentFile().listFiles() || [];
+    
+    for (var i = 0; i < files.length; i++) {
+        if (!files[i].isFile() || isTemporaryFile(files[i]) || isSidecarFile(files[i])) {
+            continue;
+        }
+        var mainOfFile = findCompanionMain(files[i]);
+        if (mainOfFile && String(mainOfFile.getCanonicalPath()) === String(mainFile.getCanonicalPath())) {
+            companions.push(files[i]);
+        }
+    }
+    
+    companions.sort(function (a, b) {
+        return String(a.getName()).localeCompare(String(b.getName()));
+    });
+    return companions;
+}
+
+/**
+ * Companions may arrive after their main document, and a main document may arrive after its companions.
+ * A main document is held back until its companions are completely written and waitSeconds have passed
+ * since its last change; a file that looks like a companion but has no main document yet is held back
+ * for waitSeconds before it is imported on its own.
+ * @param {File} file - A file from the source directory
+ * @return {boolean} - true if the file should not be processed in this run
+ */
+function isWaitingForCompanions(file) {
+    if (!CONFIG.COMPANION_FILES.enabled) {
+        return false;
+    }
+    
+    var waitMs = (CONFIG.COMPANION_FILES.waitSeconds || 0) * 1000;
+    if (matchCompanionRule(file)) {
+        return new Date().getTime() - file.lastModified() < waitMs;
+    }
+    
+    var companions = findCompanionFiles(file);
+    for (var i = 0; i < companions.length; i++) {
+        if (!isFileReady(companions[i])) {
+            return true;
+        }
+    }
+    return new Date().getTime() - file.lastModified() < waitMs;
+}
+
+/**
+ * Store the companion files of a document in ELO. Depending on the rule, a companion becomes an attachment
+ * of the main document or a document of its own in the same folder with the index values of the main document,
+ * linked to it. If one companion fails, the linked documents created so far are deleted again.
+ * A document has only one attachment, a new attachment replaces the previous one. So only a companion that finds
+ * the attachment free becomes the attachment, every other companion in "attachment" mode becomes a linked document.
+ * @param {String} sordId - Sord ID of the main document
+ * @param {Array} companions - The companion files
+ * @param {String} mode - Optional "attachment" or "linkedDocument" for all files, instead of the mode of their rule
+ * @param {boolean} attachmentReserved - true if the attachment is kept free for a file stored later, e.g. the e-invoice XML
+ * @return {Array} - Sord IDs of the linked companion documents
+ */
+function storeCompanionFiles(sordId, companions, mode, attachmentReserved) {
+    var linkedIds = [];
+    var mainSord = null;
+    var attachmentFree = null; // checked on first use
+    
+    try {
+        for (var i = 0; i < companions.length; i++) {
+            var companion = companions[i];
+            var match = matchCompanionRule(companion);
+            var companionMode = mode || (match && match.rule.mode) || "attachment";
+            
+            if (companionMode === "attachment") {
+                if (attachmentFree === null) {
+                    attachmentFree = !attachmentReserved && !hasAttachment(sordId);
+                }
+                if (!attachmentFree) {
+                    logger.info("Attachment of Sord ID " + sordId + " is taken, storing " + companion.getName() + " as linked document");
+                    companionMode = "linkedDocument";
+                }
+                attachmentFree = false;
+            }
+            
+            if (companionMode === "linkedDocument") {
+                mainSord = mainSord || ixConnect.ix().checkoutSord(sordId, SordC.mbAll, LockC.NO);
+                linkedIds.push(createCompanionDocument(mainSord, companion));
+            } else {
+                uploadAttachment(sordId, readFileInChunks(companion), getFileType(companion).ext, "Companion file " + companion.getName() + " imported by PDFImportService");
+            }
+            logger.info("Stored companion file " + companion.getName() + " (" + companionMode + ") with Sord ID: " + sordId);
+        }
+        
+        if (linkedIds.length > 0) {
+            ixConnect.ix().linkSords(sordId, linkedIds, null);
+        }
+        return linkedIds;
+        
+    } catch (e) {
+        for (var j = 0; j < linkedIds.length; j++) {
+            try {
+                ixConnect.ix().deleteSord(null, linkedIds[j], LockC.NO, null);
+            } catch (cleanupError) {
+                logger.warn("Failed to cleanup companion document Sord ID: " + linkedIds[j], cleanupError);
+            }
+        }
+        throw e;
+    }
+}
+
+/**
+ * @param {Sord} mainSord - The main document
+ * @param {File} companion - The companion file
+ * @return {String} - Sord ID of the new companion document
+ */
+function createCompanionDocument(mainSord, companion) {
+    var sord = ixConnect.ix().createSord(String(mainSord.parentId), String(mainSord.mask), EditInfoC.mbSord).sord;
+    var fileName = String(companion.getName());
+    sord.name = fileName.substring(0, fileName.lastIndexOf('.'));
+    sord.type = SordC.LBT_DOCUMENT;
+    sord.desc = "Companion of Sord ID " + mainSord.id + ", imported by PDFImportService on " + new Date().toISOString();
+    
+    // Index values of the main document, so the companion is found by invoice number, supplier etc.
+    var mainKeys = mainSord.objKeys || [];
+    var keys = sord.objKeys || [];
+    for (var i = 0; i < keys.length; i++) {
+        for (var j = 0; j < mainKeys.length; j++) {
+            if (String(keys[i].name) === String(mainKeys[j].name)) {
+                keys[i].data = mainKeys[j].data;
+            }
+        }
+    }
+    
+    var companionId = ixConnect.ix().checkinSord(sord, SordC.mbAll, LockC.NO).sord.id;
+    try {
+        if (!uploadDocument(companionId, companion)) {
+            throw new Error("File upload failed");
+        }
+    } catch (e) {
+        ixConnect.ix().deleteSord(null, companionId, LockC.NO, null);
+        throw e;
+    }
+    return companionId;
+}
+
+/**
+ * @param {Object} context - The import context
+ * @return {boolean} - true if the file came with a mail whose archived copy is stored with the document
+ */
+function isMailArchived(context) {
+    return !!(context.mail && context.mail.file && (context.hotfolder.MAILBOX.archiveMail || "linkedDocument") !== "none" &&
+        new java.io.File(context.mail.file).isFile());
+}
+
+/**
+ * Store the mail a document came with. The mail is archived once, with the first of its attachments that is imported;
+ * the documents of the other attachments are linked to it.
+ * @param {String} sordId - Sord ID of the document
+ * @param {Object} context - The import context
+ */
+function storeMail(sordId, context) {
+    var mail = context.mail;
+    
+    if (mail.sordId) {
+        try {
+            ixConnect.ix().linkSords(mail.sordId, [sordId], null);
+            logger.info("Linked Sord ID " + sordId + " to the mail stored with Sord ID " + mail.sordId);
+        } catch (e) {
+            logger.warn("Failed to link Sord ID " + sordId + " to the mail stored with Sord ID " + mail.sordId, e);
+        }
+        return;
+    }
+    
+    var linkedIds = storeCompanionFiles(sordId, [new java.io.File(mail.file)], context.hotfolder.MAILBOX.archiveMail || "linkedDocument", isEInvoiceXmlAttached(context));
+    
+    // As attachment the mail stays with this document, the documents of further attachments are linked to it
+    mail.sordId = String(linkedIds.length > 0 ? linkedIds[0] : sordId);
+}
+
+/**
+ * Import the mails of a hotfolder: .eml and .msg files dropped into the source directory, then new messages of its mailbox
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} result - Receives the success and error counts
+ */
+function processMailbox(hotfolder, result) {
+    var mailbox = hotfolder.MAILBOX;
+    
+    if (mailbox.readMailFiles !== false) {
+        var files = [];
+        collectFiles(new java.io.File(hotfolder.SOURCE_DIR), files, hotfolder.INCLUDE_SUBDIRECTORIES);
+        
+        for (var i = 0; i < files.length; i++) {
+            if (!isMailFile(files[i], hotfolder) || !isFileReady(files[i])) {
+                continue;
+            }
+            try {
+                importMailFile(files[i], hotfolder, result);
+            } catch (e) {
+                logger.error("Unhandled error reading mail file: " + files[i].getName(), e);
+                result.errorCount++;
+            }
+        }
+    }
+    
+    if (mailbox.host) {
+        try {
+            fetchMailboxMessages(hotfolder, result);
+        } catch (e) {
+            logger.error("Failed to read mailbox " + (mailbox.username || "") + "@" + mailbox.host + " of hotfolder " + hotfolder.NAME, e);
+            result.errorCount++;
+        }
+    }
+}
+
+/**
+ * @param {File} file - A file from the source directory
+ * @param {Object} hotfolder - The hotfolder
+ * @return {boolean} - true for .eml and .msg files that are read by the mailbox channel of the hotfolder
+ */
+function isMailFile(file, hotfolder) {
+    return !!(hotfolder.MAILBOX.enabled && hotfolder.MAILBOX.readMailFiles !== false && /\.(eml|msg)$/i.test(String(file.getName())));
+}
+
+/**
+ * Move a dropped mail file into the mail archive directory and import its attachments
+ * @param {File} file - The .eml or .msg file
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} result - Receives the success and error counts
+ * @return {boolean} - true if all attachments were imported
+ */
+function importMailFile(file, hotfolder, result) {
+    var mailFile = moveFile(file, getMailArchiveDirectory(hotfolder));
+    if (!mailFile) {
+        result.errorCount++;
+        return false;
+    }
+    
+    try {
+        return importMailAttachments(mailFile, hotfolder, result);
+    } catch (e) {
+        var mailError = createImportError("MAIL_INVALID", "Mail could not be read: " + e.message, e);
+        logger.error("Failed to read mail file: " + file.getName(), mailError);
+        moveFileToErrorDir(mailFile, hotfolder, mailError, { attempts: 1 });
+        result.errorCount++;
+        return false;
+    }
+}
+
+/**
+ * Read the new messages of the hotfolder's mailbox. Each message is saved to the mail archive directory as .eml
+ * and its attachments are imported. Afterwards an IMAP message is moved to processedFolder or errorFolder,
+ * or marked as read or flagged if the folder is not configured; flagged messages are not read again.
+ * A POP3 message is deleted once it is saved, failed attachments are re-driven from the error directory.
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} result - Receives the success and error counts
+ */
+function fetchMailboxMessages(hotfolder, result) {
+    var mailbox = hotfolder.MAILBOX;
+    var protocol = mailbox.protocol || "imaps";
+    var imap = protocol.indexOf("imap") === 0;
+    
+    var properties = new java.util.Properties();
+    properties.put("mail." + protocol + ".connectiontimeout", "10000");
+    properties.put("mail." + protocol + ".timeout", "30000");
+    properties.put("mail." + protocol + ".starttls.enable", String(!!mailbox.startTls));
+    
+    var store = javax.mail.Session.getInstance(properties).getStore(protocol);
+    store.connect(mailbox.host, mailbox.port || -1, mailbox.username || null, mailbox.password || null);
+    
+    try {
+        var folder = store.getFolder(mailbox.folder || "INBOX");
+        folder.open(javax.mail.Folder.READ_WRITE);
+        
+        try {
+            var Flag = javax.mail.Flags.Flag;
+            var messages = folder.getMessages();
+            if (imap) {
+                var unflagged = new javax.mail.search.FlagTerm(new javax.mail.Flags(Flag.FLAGGED), false);
+                var unread = new javax.mail.search.FlagTerm(new javax.mail.Flags(Flag.SEEN), false);
+                messages = folder.search(mailbox.processedFolder ? unflagged : new javax.mail.search.AndTerm(unflagged, unread));
+            }
+            
+            var count = Math.min(messages.length, mailbox.maxMessages || 50);
+            if (count > 0) {
+                logger.info("Reading " + count + " of " + messages.length + " new messages from mailbox folder " + folder.getFullName());
+            }
+            
+            for (var i = 0; i < count; i++) {
+                var message = messages[i];
+                var mailFile = saveMailMessage(message, hotfolder);
+                var success = false;
+                
+                try {
+                    success = importMailAttachments(mailFile, hotfolder, result);
+                } catch (e) {
+                    var mailError = createImportError("MAIL_INVALID", "Mail could not be read: " + e.message, e);
+                    logger.error("Failed to read mail: " + message.getSubject(), mailError);
+                    moveFileToErrorDir(mailFile, hotfolder, mailError, { attempts: 1 });
+                    result.errorCount++;
+                }
+                
+                if (!imap) {
+                    message.setFlag(Flag.DELETED, true);
+                } else if (success ? mailbox.processedFolder : mailbox.errorFolder) {
+                    moveMailMessage(message, store.getFolder(success ? mailbox.processedFolder : mailbox.errorFolder));
+                } else {
+                    message.setFlag(success ? Flag.SEEN : Flag.FLAGGED, true);
+                }
+            }
+        } finally {
+            // Expunges the messages that were moved or deleted
+            folder.close(true);
+        }
+    } finally {
+        store.close();
+    }
+}
+
+/**
+ * @param {Message} message - The message
+ * @param {Folder} targetFolder - The IMAP folder to move it to, created if it does not exist
+ */
+function moveMailMessage(message, targetFolder) {
+    if (!targetFolder.exists()) {
+        targetFolder.create(javax.mail.Folder.HOLDS_MESSAGES);
+    }
+    message.getFolder().copyMessages([message], targetFolder);
+    message.setFlag(javax.mail.Flags.Flag.DELETED, true);
+    logger.debug("Moved mail to folder " + targetFolder.getFullName() + ": " + message.getSubject());
+}
+
+/**
+ * Save a message to the mail archive directory, named after its received date and subject
+ * @param {Message} message - The message
+ * @param {Object} hotfolder - The hotfolder
+ * @return {File} - The saved .eml file
+ */
+function saveMailMessage(message, hotfolder) {
+    var received = message.getReceivedDate() || message.getSentDate() || new java.util.Date();
+    var timestamp = new java.text.SimpleDateFormat("yyyyMMdd_HHmmss").format(received);
+    var subject = sanitizeFolderName(String(message.getSubject() || "")).substring(0, 60);
+    var archiveDir = getMailArchiveDirectory(hotfolder);
+    
+    var mailFile = new java.io.File(archiveDir, timestamp + (subject ? "_" + subject : "") + ".eml");
+    for (var n = 2; mailFile.exists(); n++) {
+        mailFile = new java.io.File(archiveDir, timestamp + (subject ? "_" + subject : "") + "_" + n + ".eml");
+    }
+    
+    var output = new java.io.FileOutputStream(mailFile);
+    try {
+        message.writeTo(output);
+    } finally {
+        output.close();
+    }
+    return mailFile;
+}
+
+/**
+ * @param {Object} hotfolder - The hotfolder
+ * @return {String} - Directory the mails are archived in, created on first use
+ */
+function getMailArchiveDirectory(hotfolder) {
+    var archiveDir = hotfolder.MAILBOX.archiveDirectory || String(new java.io.File(hotfolder.PROCESSED_DIR, "mail").getAbsolutePath());
+    createDirectoryIfNotExists(archiveDir);
+    return archiveDir;
+}
+
+/**
+ * Import the attachments of an archived mail like files from the source directory, with sender, subject
+ * and received date of the mail as metadata. Attachments belonging to another attachment (sidecar and
+ * companion files) are imported with it.
+ * @param {File} mailFile - The archived .eml or .msg file
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} result - Receives the success and error counts
+ * @return {boolean} - true if the mail had importable attachments and all of them were imported
+ */
+function importMailAttachments(mailFile, hotfolder, result) {
+    var stagingDir = new java.io.File(java.lang.System.getProperty("java.io.tmpdir"), "pdfimport_mail_" + new Date().getTime());
+    stagingDir.mkdirs();
+    
+    try {
+        var mail = readMailFile(mailFile, stagingDir);
+        var formats = hotfolder.MAILBOX.formats || ["pdf", "xml"];
+        var imported = 0;
+        var failed = 0;
+        
+        logger.info("Mail from " + mail.from + " (" + mail.subject + ") has " + mail.attachments.length + " attachments");
+        
+        // Shared by all attachments, the first imported one stores the mail in ELO and sets sordId
+        var mailInfo = { file: String(mailFile.getAbsolutePath()), from: mail.from, subject: mail.subject, received: mail.received, messageId: mail.messageId, sordId: null };
+        
+        var files = stagingDir.listFiles() || [];
+        for (var i = 0; i < files.length; i++) {
+            var file = files[i];
+            
+            // Sidecar and companion files may have been moved with an attachment imported before
+            if (!file.isFile() || formats.indexOf(detectFileFormat(file)) === -1 || isSidecarFile(file) || isCompanionFile(file)) {
+                continue;
+            }
+            
+            var validationError = getValidationError(file, hotfolder);
+            if (validationError && !validationError.category) {
+                logger.info("Skipping mail attachment " + file.getName() + ": " + validationError.message);
+                continue;
+            }
+            
+            if (processSinglePDFWithRetry(file, hotfolder, null, mailInfo)) {
+                imported++;
+            } else {
+                failed++;
+            }
+        }
+        
+        result.successCount += imported;
+        result.errorCount += failed;
+        
+        if (imported + failed === 0) {
+            logger.warn("No importable attachments in mail from " + mail.from + ": " + mail.subject);
+            return false;
+        }
+        return failed === 0;
+        
+    } finally {
+        var leftovers = stagingDir.listFiles() || [];
+        for (var j = 0; j < leftovers.length; j++) {
+            leftovers[j]["delete"]();
+        }
+        stagingDir["delete"]();
+    }
+}
+
+/**
+ * Read sender, subject and received date of a mail and write its attachments into a directory.
+ * .msg files are read with Apache POI (HSMF), .eml files with JavaMail; attachments of forwarded mails are included.
+ * @param {File} mailFile - The .eml or .msg file
+ * @param {File} targetDir - Directory for the attachments
+ * @return {Object} - from, subject, received (ISO timestamp), messageId and the attachment files
+ */
+function readMailFile(mailFile, targetDir) {
+    var mail = { from: "", subject: "", received: null, messageId: null, attachments: [] };
+    
+    if (/\.msg$/i.test(String(mailFile.getName()))) {
+        var msg = new org.apache.poi.hsmf.MAPIMessage(mailFile.getAbsolutePath());
+        try {
+            mail.from = String(msg.getDisplayFrom() || "");
+            mail.subject = String(msg.getSubject() || "");
+            try {
+                mail.received = new Date(msg.getMessageDate().getTimeInMillis()).toISOString();
+            } catch (dateError) {
+                logger.debug("No date in mail file: " + mailFile.getName());
+            }
+            
+            var attachments = msg.getAttachmentFiles();
+            for (var i = 0; i < attachments.length; i++) {
+                var nameChunk = attachments[i].getAttachLongFileName() || attachments[i].getAttachFileName();
+                var data = attachments[i].getEmbeddedAttachmentObject();
+                if (nameChunk && data) {
+                    var file = createAttachmentFile(targetDir, String(nameChunk.getValue()));
+                    var output = new java.io.FileOutputStream(file);
+                    try {
+                        output.write(data);
+                    } finally {
+                        output.close();
+                    }
+                    mail.attachments.push(file);
+                }
+            }
+        } finally {
+            msg.close();
+        }
+        return mail;
+    }
+    
+    var input = new java.io.FileInputStream(mailFile);
+    try {
+        var message = new javax.mail.internet.MimeMessage(javax.mail.Session.getInstance(new java.util.Properties()), input);
+        var from = message.getFrom();
+        var received = message.getReceivedDate() || message.getSentDate();
+        
+        mail.from = from && from.length > 0 ? String(from[0].getAddress() || from[0].toString()) : "";
+        mail.subject = String(message.getSubject() || "");
+        mail.received = received ? new Date(received.getTime()).toISOString() : null;
+        mail.messageId = message.getMessageID() ? String(message.getMessageID()) : null;
+        collectMailAttachments(message, targetDir, mail.attachments);
+    } finally {
+        input.close();
+    }
+    return mail;
+}
+
+/**
+ * @param {Part} part - A message or one of its parts
+ * @param {File} targetDir - Directory for the attachments
+ * @param {Array} files - Receives the written attachment files
+ */
+function collectMailAttachments(part, targetDir, files) {
+    if (part.isMimeType("multipart/*")) {
+        var multipart = part.getContent();
+        for (var i = 0; i < multipart.getCount(); i++) {
+            collectMailAttachments(multipart.getBodyPart(i), targetDir, files);
+        }
+    } else if (part.isMimeType("message/rfc822")) {
+        collectMailAttachments(part.getContent(), targetDir, files);
+    } else if (part.getFileName()) {
+        var file = createAttachmentFile(targetDir, String(javax.mail.internet.MimeUtility.decodeText(part.getFileName())));
+        part.saveFile(file);
+        files.push(file);
+    }
+}
+
+/**
+ * @param {File} targetDir - Directory for the attachments
+ * @param {String} name - File name from the mail
+ * @return {File} - A file in the directory with the sanitized name, numbered if the name is taken
+ */
+function createAttachmentFile(targetDir, name) {
+    var fileName = sanitizeFolderName(name) || "attachment";
+    var file = new java.io.File(targetDir, fileName);
+    
+    for (var n = 2; file.exists(); n++) {
+        var dotIndex = fileName.lastIndexOf('.');
+        file = new java.io.File(targetDir, dotIndex > 0 ? fileName.substring(0, dotIndex) + "_" + n + fileName.substring(dotIndex) : fileName + "_" + n);
+    }
+    return file;
+}
+
+/**
+ * Read the PDF's sidecar file and map its values to index fields
+ * Values for fields that are also extracted from the PDF text replace the extracted values,
+ * so duplicate detection and routing see the sidecar data.
+ * @param {Object} context - The import context
+ */
+function applySidecarFile(context) {
+    var sidecarFile = findSidecarFile(context.file);
+    
+    if (!sidecarFile) {
+        if (CONFIG.SIDECAR.required) {
+            throw new Error("Required sidecar file missing for: " + context.file.getName());
+        }
+        logger.debug("No sidecar file for: " + context.file.getName());
+        return;
+    }
+    
+    var values = readSidecarFile(sidecarFile);
+    var mapping = CONFIG.SIDECAR.mapping || {};
+    var fields = CONFIG.METADATA_EXTRACTION.fields || {};
+    
+    for (var sidecarKey in mapping) {
+        if (values[sidecarKey] === undefined || values[sidecarKey] === "") {
+            continue;
+        }
+        
+        var fieldName = mapping[sidecarKey];
+        var value = String(values[sidecarKey]).trim();
+        
+        for (var key in fields) {
+            if (fields[key].indexField === fieldName) {
+                value = normalizeExtractedValue(value, fields[key].type) || value;
+                context.metadata[key] = value;
+            }
+        }
+        
+        context.sidecarValues[fieldName] = value;
+    }
+    
+    logger.info("Applied sidecar file " + sidecarFile.getName() + " to: " + context.file.getName());
+}
+
+/**
+ * Parse a sidecar file into a flat key/value map
+ * JSON objects are flattened with dotted keys, XML uses the names of leaf elements,
+ * CSV files use the header row and the first data row.
+ * @param {File} sidecarFile - The sidecar file
+ * @return {Object} - Key/value map
+ */
+function readSidecarFile(sidecarFile) {
+    var fileName = String(sidecarFile.getName()).toLowerCase();
+    var content = String(sol.common.FileUtils.readFileToString(sidecarFile, "UTF-8")).replace(/^\uFEFF/, "");
+    var values = {};
+    
+    if (fileName.endsWith(".json")) {
+        var data = JSON.parse(content);
+        flattenObject(data instanceof Array ? data[0] : data, "", values);
+        
+    } else if (fileName.endsWith(".xml")) {
+        var factory = javax.xml.parsers.DocumentBuilderFactory.newInstance();
+        factory.setNamespaceAware(true);
+        factory.setFeature("http://apache.org/xml/features/disallow-doctype-decl", true);
+        var document = factory.newDocumentBuilder().parse(sidecarFile);
+        var elements = document.getElementsByTagName("*");
+        
+        for (var i = 0; i < elements.getLength(); i++) {
+            var element = elements.item(i);
+            var name = String(element.getLocalName() || element.getNodeName());
+            if (element.getElementsByTagName("*").getLength() === 0 && values[name] === undefined) {
+                values[name] = String(element.getTextContent()).trim();
+            }
+        }
+        
+    } else if (fileName.endsWith(".csv")) {
+        var delimiter = CONFIG.SIDECAR.csvDelimiter || ";";
+        var lines = content.split(/\r?\n/).filter(function (line) {
+            return line.trim() !== "";
+        });
+        
+        if (lines.length >= 2) {
+            var headers = splitCsvLine(lines[0], delimiter);
+            var row = splitCsvLine(lines[1], delimiter);
+            for (var j = 0; j < headers.length; j++) {
+                values[headers[j]] = row[j] !== undefined ? row[j] : "";
+            }
+        }
+        
+    } else {
+        throw new Error("Unsupported sidecar format: " + sidecarFile.getName());
+    }
+    
+    return values;
+}
+
+function flattenObject(data, prefix, values) {
+    for (var key in data) {
+        var value = data[key];
+        if (value !== null && typeof value === "object" && !(value instanceof Array)) {
+            flattenObject(value, prefix + key + ".", values);
+        } else {
+            values[prefix + key] = value;
+        }
+    }
+}
+
+/**
+ * Split a CSV line, honouring double-quoted values
+ * @param {String} line - The CSV line
+ * @param {String} delimiter - Field delimiter
+ * @return {Array} - Field values
+ */
+function splitCsvLine(line, delimiter) {
+    var fields = [];
+    var current = "";
+    var quoted = false;
+    
+    for (var i = 0; i < line.length; i++) {
+        var c = line.charAt(i);
+        if (c === '"') {
+            if (quoted && line.charAt(i + 1) === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (c === delimiter && !quoted) {
+            fields.push(current.trim());
+            current = "";
+        } else {
+            current += c;
+        }
+    }
+    fields.push(current.trim());
+    
+    return fields;
+}
+
+/**
+ * XPath locations of e-invoice data per syntax
+ * CII is used by ZUGFeRD 2.x, Factur-X and XRechnung (CII), UBL by XRechnung (UBL).
+ * Paths are written without namespace prefixes and resolved by local name.
+ */
+var E_INVOICE_SYNTAXES = {
+    CII: {
+        root: "CrossIndustryInvoice",
+        header: {
+            invoiceNumber: "ExchangedDocument/ID",
+            invoiceDate: "ExchangedDocument/IssueDateTime/DateTimeString",
+            documentTypeCode: "ExchangedDocument/TypeCode",
+            supplierName: "SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/SellerTradeParty/Name",
+            vatId: "SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/SellerTradeParty/SpecifiedTaxRegistration/ID[@schemeID='VA']",
+            buyerName: "SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/BuyerTradeParty/Name",
+            buyerReference: "SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/BuyerReference",
+            orderReference: "SupplyChainTradeTransaction/ApplicableHeaderTradeAgreement/BuyerOrderReferencedDocument/IssuerAssignedID",
+            currency: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/InvoiceCurrencyCode",
+            iban: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementPaymentMeans/PayeePartyCreditorFinancialAccount/IBANID",
+            dueDate: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradePaymentTerms/DueDateDateTime/DateTimeString",
+            netAmount: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementHeaderMonetarySummation/TaxBasisTotalAmount",
+            taxAmount: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementHeaderMonetarySummation/TaxTotalAmount",
+            grossAmount: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementHeaderMonetarySummation/GrandTotalAmount",
+            amountDue: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/SpecifiedTradeSettlementHeaderMonetarySummation/DuePayableAmount"
+        },
+        lineItems: "SupplyChainTradeTransaction/IncludedSupplyChainTradeLineItem",
+        lineItem: {
+            position: "AssociatedDocumentLineDocument/LineID",
+            name: "SpecifiedTradeProduct/Name",
+            quantity: "SpecifiedLineTradeDelivery/BilledQuantity",
+            unit: "SpecifiedLineTradeDelivery/BilledQuantity/@unitCode",
+            unitPrice: "SpecifiedLineTradeAgreement/NetPriceProductTradePrice/ChargeAmount",
+            netAmount: "SpecifiedLineTradeSettlement/SpecifiedTradeSettlementLineMonetarySummation/LineTotalAmount",
+            taxRate: "SpecifiedLineTradeSettlement/ApplicableTradeTax/RateApplicablePercent"
+        },
+        taxes: "SupplyChainTradeTransaction/ApplicableHeaderTradeSettlement/ApplicableTradeTax",
+        tax: {
+            category: "CategoryCode",
+            rate: "RateApplicablePercent",
+            basisAmount: "BasisAmount",
+            taxAmount: "CalculatedAmount"
+        }
+    },
+    UBL: {
+        root: "Invoice|CreditNote",
+        header: {
+            invoiceNumber: "ID",
+            invoiceDate: "IssueDate",
+            documentTypeCode: "InvoiceTypeCode|CreditNoteTypeCode",
+            supplierName: "AccountingSupplierParty/Party/PartyLegalEntity/RegistrationName",
+            vatId: "AccountingSupplierParty/Party/PartyTaxScheme/CompanyID",
+            buyerName: "AccountingCustomerParty/Party/PartyLegalEntity/RegistrationName",
+            buyerReference: "BuyerReference",
+            orderReference: "OrderReference/ID",
+            currency: "DocumentCurrencyCode",
+            iban: "PaymentMeans/PayeeFinancialAccount/ID",
+            dueDate: "DueDate",
+            netAmount: "LegalMonetaryTotal/TaxExclusiveAmount",
+            taxAmount: "TaxTotal/TaxAmount",
+            grossAmount: "LegalMonetaryTotal/TaxInclusiveAmount",
+            amountDue: "LegalMonetaryTotal/PayableAmount"
+        },
+        lineItems: "InvoiceLine|CreditNoteLine",
+        lineItem: {
+            position: "ID",
+            name: "Item/Name",
+            quantity: "InvoicedQuantity|CreditedQuantity",
+            unit: "InvoicedQuantity/@unitCode|CreditedQuantity/@unitCode",
+            unitPrice: "Price/PriceAmount",
+            netAmount: "LineExtensionAmount",
+            taxRate: "Item/ClassifiedTaxCategory/Percent"
+        },
+        taxes: "TaxTotal/TaxSubtotal",
+        tax: {
+            category: "TaxCategory/ID",
+            rate: "TaxCategory/Percent",
+            basisAmount: "TaxableAmount",
+            taxAmount: "TaxAmount"
+        }
+    }
+};
+
+var E_INVOICE_VALUE_TYPES = {
+    invoiceDate: "date",
+    dueDate: "date",
+    netAmount: "decimal",
+    taxAmount: "decimal",
+    grossAmount: "decimal",
+    amountDue: "decimal",
+    iban: "iban"
+};
+
+/**
+ * Read the e-invoice XML of the file and merge its header data into the metadata
+ * PDFs are searched for an embedded ZUGFeRD/Factur-X/XRechnung attachment, XML files are parsed directly.
+ * @param {Object} context - The import context
+ */
+function applyEInvoice(context) {
+    var xml = isXmlFile(context.file) ? { name: String(context.file.getName()), data: readFileInChunks(context.file) } : extractEmbeddedInvoiceXml(context.file);
+    
+    if (!xml || !xml.data) {
+        return;
+    }
+    
+    var eInvoice = parseEInvoiceXml(xml.data);
+    if (!eInvoice) {
+        logger.warn("XML " + xml.name + " is not a supported e-invoice: " + context.file.getName());
+        return;
+    }
+    
+    eInvoice.xmlName = xml.name;
+    eInvoice.xmlData = xml.data;
+    context.eInvoice = eInvoice;
+    
+    for (var key in eInvoice.header) {
+        context.metadata[key] = eInvoice.header[key];
+    }
+    
+    logger.info("E-invoice (" + eInvoice.syntax + ") found in " + context.file.getName() + ": " +
+        eInvoice.lineItems.length + " line items, " + eInvoice.taxes.length + " tax rates");
+}
+
+/**
+ * Extract the invoice XML embedded in a ZUGFeRD / Factur-X PDF
+ * @param {File} pdfFile - The PDF file
+ * @return {Object} - name and data (byte[]) of the XML, or null if there is none
+ */
+function extractEmbeddedInvoiceXml(pdfFile) {
+    var document = null;
+    var names = (CONFIG.E_INVOICE.attachmentNames || ["factur-x.xml", "zugferd-invoice.xml", "ZUGFeRD-invoice.xml", "xrechnung.xml"]).map(function (name) {
+        return name.toLowerCase();
+    });
+    
+    try {
+        document = org.apache.pdfbox.pdmodel.PDDocument.load(pdfFile);
+        var catalogNames = document.getDocumentCatalog().getNames();
+        
+        if (!catalogNames || !catalogNames.getEmbeddedFiles()) {
+            return null;
+        }
+        
+        var fileSpecs = {};
+        collectEmbeddedFiles(catalogNames.getEmbeddedFiles(), fileSpecs);
+        
+        for (var name in fileSpecs) {
+            if (names.indexOf(name.toLowerCase()) === -1) {
+                continue;
+            }
+            
+            var fileSpec = fileSpecs[name];
+            var embeddedFile = fileSpec.getEmbeddedFileUnicode() || fileSpec.getEmbeddedFile();
+            if (embeddedFile) {
+                return { name: name, data: embeddedFile.toByteArray() };
+            }
+        }
+        return null;
+        
+    } catch (e) {
+        logger.warn("Could not read embedded files of: " + pdfFile.getName(), e);
+        return null;
+    } finally {
+        if (document) {
+            document.close();
+        }
+    }
+}
+
+function collectEmbeddedFiles(node, fileSpecs) {
+    var names = node.getNames();
+    if (names) {
+        var iterator = names.entrySet().iterator();
+        while (iterator.hasNext()) {
+            var entry = iterator.next();
+            fileSpecs[String(entry.getKey())] = entry.getValue();
+        }
+    }
+    
+    var kids = node.getKids();
+    if (kids) {
+        for (var i = 0; i < kids.size(); i++) {
+            collectEmbeddedFiles(kids.get(i), fileSpecs);
+        }
+    }
+}
+
+/**
+ * Parse a CII or UBL invoice
+ * @param {byte[]} xmlData - The XML document
+ * @return {Object} - syntax, header (normalized metadata), lineItems and taxes, or null for other XML
+ */
+function parseEInvoiceXml(xmlData) {
+    var factory = javax.xml.parsers.DocumentBuilderFactory.newInstance();
+    factory.setNamespaceAware(true);
+    factory.setFeature("http://apache.org/xml/features/disallow-doctype-decl", true);
+    
+    var document = factory.newDocumentBuilder().parse(new java.io.ByteArrayInputStream(xmlData));
+    var root = document.getDocumentElement();
+    var rootName = String(root.getLocalName() || root.getNodeName());
+    var xpath = javax.xml.xpath.XPathFactory.newInstance().newXPath();
+    
+    for (var syntax in E_INVOICE_SYNTAXES) {
+        var definition = E_INVOICE_SYNTAXES[syntax];
+        if (definition.root.split("|").indexOf(rootName) === -1) {
+            continue;
+        }
+        
+        var eInvoice = {
+            syntax: syntax,
+            header: {},
+            lineItems: readXmlRecords(xpath, root, definition.lineItems, definition.lineItem),
+            taxes: readXmlRecords(xpath, root, definition.taxes, definition.tax)
+        };
+        
+        for (var key in definition.header) {
+            var value = readXmlValue(xpath, root, definition.header[key]);
+            if (value) {
+                eInvoice.header[key] = E_INVOICE_VALUE_TYPES[key] ? (normalizeExtractedValue(value, E_INVOICE_VALUE_TYPES[key]) || value) : value;
+            }
+        }
+        
+        return eInvoice;
+    }
+    
+    return null;
+}
+
+function readXmlRecords(xpath, root, path, fields) {
+    var records = [];
+    var nodes = xpath.evaluate(toLocalNameXPath(path), root, javax.xml.xpath.XPathConstants.NODESET);
+    
+    for (var i = 0; i < nodes.getLength(); i++) {
+        var record = {};
+        for (var key in fields) {
+            record[key] = readXmlValue(xpath, nodes.item(i), fields[key]);
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+function readXmlValue(xpath, node, path) {
+    return String(xpath.evaluate(toLocalNameXPath(path), node)).trim();
+}
+
+/**
+ * Turn "A/B[@x='y']/@attr" into an XPath that matches elements by local name, ignoring namespaces
+ * Alternatives separated by | are converted individually.
+ * @param {String} path - Relative path without namespace prefixes
+ * @return {String} - XPath expression
+ */
+function toLocalNameXPath(path) {
+    return path.split("|").map(function (alternative) {
+        return alternative.split("/").map(function (step) {
+            if (step.charAt(0) === "@") {
+                return step;
+            }
+            var predicateStart = step.indexOf("[");
+            var name = predicateStart === -1 ? step : step.substring(0, predicateStart);
+            var predicate = predicateStart === -1 ? "" : step.substring(predicateStart);
+            return "*[local-name()='" + name + "']" + predicate;
+        }).join("/");
+    }).join(" | ");
+}
+
+/**
+ * Store line items and tax breakdown of an e-invoice as map fields and attach the XML to the document
+ * @param {String} sordId - The Sord ID
+ * @param {Object} context - The import context
+ */
+function storeEInvoiceData(sordId, context) {
+    var eInvoice = context.eInvoice;
+    var prefix = CONFIG.E_INVOICE.mapFieldPrefix || "EINVOICE_";
+    var values = {};
+    
+    values[prefix + "SYNTAX"] = eInvoice.syntax;
+    for (var i = 0; i < eInvoice.lineItems.length; i++) {
+        values[prefix + "LINE" + (i + 1)] = JSON.stringify(eInvoice.lineItems[i]);
+    }
+    for (var j = 0; j < eInvoice.taxes.length; j++) {
+        values[prefix + "TAX" + (j + 1)] = JSON.stringify(eInvoice.taxes[j]);
+    }
+    writeSordMapFields(sordId, values);
+    
+    if (isEInvoiceXmlAttached(context)) {
+        uploadAttachment(sordId, eInvoice.xmlData, "xml", "E-invoice " + eInvoice.xmlName + " extracted by PDFImportService");
+    }
+}
+
+/**
+ * Write values into the map fields of a Sord
+ * @param {String} sordId - The Sord ID
+ * @param {Object} values - Map of field name to value
+ */
+function writeSordMapFields(sordId, values) {
+    var keyValues = createKeyValues(values);
+    
+    if (keyValues.length > 0) {
+        ixConnect.ix().checkinMap(MapDomainC.DOMAIN_SORD, sordId, sordId, keyValues, LockC.NO);
+        logger.debug("Wrote " + keyValues.length + " map fields to Sord ID: " + sordId);
+    }
+}
+
+/**
+ * Write values into the map of a running workflow, where its nodes read them as workflow variables
+ * @param {String} workflowId - ID of the workflow
+ * @param {String} sordId - The Sord ID the workflow runs on
+ * @param {Object} values - Map of field name to value
+ */
+function writeWorkflowMapFields(workflowId, sordId, values) {
+    var keyValues = createKeyValues(values);
+    
+    if (keyValues.length > 0) {
+        ixConnect.ix().checkinMap(MapDomainC.DOMAIN_WORKFLOW_ACTIVE, String(workflowId), sordId, keyValues, LockC.NO);
+        logger.debug("Wrote " + keyValues.length + " map fields to workflow " + workflowId);
+    }
+}
+
+/**
+ * @param {Object} values - Map of field name to value, null and undefined values are skipped
+ * @return {Array} - KeyValue objects for checkinMap
+ */
+function createKeyValues(values) {
+    var keyValues = [];
+    for (var key in values) {
+        if (values[key] !== undefined && values[key] !== null) {
+            keyValues.push(new KeyValue(key, String(values[key])));
+        }
+    }
+    return keyValues;
+}
+
+/**
+ * @param {String} sordId - The Sord ID of a document
+ * @return {boolean} - true if the document already has an attachment
+ */
+function hasAttachment(sordId) {
+    var document = ixConnect.ix().checkoutDoc(sordId, null, EditInfoC.mbSordDoc, LockC.NO).document;
+    return !!(document && document.atts && document.atts.length > 0);
+}
+
+/**
+ * @param {Object} context - The import context
+ * @return {boolean} - true if the XML of the file's e-invoice is stored as attachment of the document
+ */
+function isEInvoiceXmlAttached(context) {
+    // A standalone XRechnung is the document itself, only embedded XML is attached
+    return !!(context.eInvoice && CONFIG.E_INVOICE.attachXml !== false && !isXmlFile(context.file));
+}
+
+/**
+ * Upload data as the attachment of an existing document. A document has a single attachment,
+ * uploading another one adds a new version that replaces it.
+ * @param {String} sordId - The Sord ID
+ * @param {byte[]} data - Attachment content
+ * @param {String} ext - File extension without dot
+ * @param {String} comment - Attachment comment
+ */
+function uploadAttachment(sordId, data, ext, comment) {
+    var attVersion = new DocVersion();
+    attVersion.ext = ext;
+    attVersion.comment = comment;
+    
+    var document = new Document();
+    document.objId = sordId;
+    document.atts = [attVersion];
+    document = ixConnect.ix().checkinDocBegin(document);
+    
+    var uploadResult = ixConnect.upload(data, document.atts[0].url);
+    if (!uploadResult) {
+        throw new Error("Attachment upload returned false for Sord ID: " + sordId);
+    }
+    
+    document.atts[0].uploadResult = uploadResult;
+    ixConnect.ix().checkinDocEnd(sordId, SordC.mbAll, document);
+    logger.debug("Attachment (" + ext + ") uploaded to Sord ID: " + sordId);
+}
+
+/**
+ * @param {File} file - A file
+ * @return {boolean} - true for .xml files
+ */
+function isXmlFile(file) {
+    return String(file.getName()).toLowerCase().endsWith(".xml");
+}
+
+/**
+ * Path of the file's directory relative to the source directory, using / as separator
+ * @param {File} file - The file
+ * @param {String} baseDir - The source directory
+ * @return {String} - Relative subdirectory, empty for files directly in the source directory
+ */
+function getRelativeSubdirectory(file, baseDir) {
+    var basePath = String(new java.io.File(baseDir).getCanonicalPath());
+    var parentPath = String(file.getParentFile().getCanonicalPath());
+    
+    if (parentPath.length <= basePath.length || parentPath.indexOf(basePath) !== 0) {
+        return "";
+    }
+    
+    return parentPath.substring(basePath.length + 1).replace(/\\/g, "/");
+}
+
+/**
+ * Search the archive for a document with the same content hash or the same invoice number and supplier
+ * @param {Object} context - The import context
+ * @return {String} - Sord ID of the existing document or null
+ */
+function findDuplicateSord(context) {
+    var duplicateCheck = CONFIG.DUPLICATE_CHECK;
+    if (!duplicateCheck.enabled) {
+        return null;
+    }
+    
+    var criteria = {};
+    criteria[duplicateCheck.hashField] = context.hash;
+    var sordId = findSordByIndex(criteria);
+    
+    if (sordId) {
+        logger.info("Duplicate content detected for: " + context.file.getName() + " (existing Sord ID: " + sordId + ")");
+        return sordId;
+    }
+    
+    var fields = CONFIG.METADATA_EXTRACTION.fields || {};
+    var invoiceNumber = context.metadata.invoiceNumber;
+    var supplierName = context.metadata.supplierName;
+    
+    if (duplicateCheck.matchInvoiceNumber && invoiceNumber && supplierName && fields.invoiceNumber && fields.supplierName) {
+        criteria = {};
+        criteria[fields.invoiceNumber.indexField] = invoiceNumber;
+        criteria[fields.supplierName.indexField] = supplierName;
+        sordId = findSordByIndex(criteria);
+        
+        if (sordId) {
+            logger.info("Duplicate invoice number " + invoiceNumber + " from " + supplierName + " detected for: " + context.file.getName() + " (existing Sord ID: " + sordId + ")");
+            return sordId;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Apply the configured duplicate policy
+ * @param {Object} context - The import context
+ * @param {String} duplicateId - Sord ID of the existing document
+ * @return {boolean} - true if the file has been handled and must not be imported as a new document
+ */
+function handleDuplicate(context, duplicateId) {
+    var policy = CONFIG.DUPLICATE_CHECK.policy || "skip";
+    
+    switch (policy) {
+        case "flag":
+            logger.warn("Importing duplicate of Sord ID " + duplicateId + " with duplicate flag: " + context.file.getName());
+            context.duplicateOf = duplicateId;
+            return false;
+            
+        case "version":
+            if (!uploadDocument(duplicateId, context.file, "", "Duplicate import of " + context.file.getName() + " on " + new Date().toISOString())) {
+                throw new Error("Failed to add new version to Sord ID: " + duplicateId);
+            }
+            logger.info("Added duplicate as new version of Sord ID " + duplicateId + ": " + context.file.getName());
+            moveFileToProcessedDir(context.file, context.hotfolder);
+            return true;
+            
+        default:
+            logger.info("Skipping duplicate of Sord ID " + duplicateId + ": " + context.file.getName());
+            moveFileWithSidecar(context.file, context.hotfolder.DUPLICATES_DIR);
+            return true;
+    }
+}
+
+/**
+ * Find the first Sord whose index fields match all given values
+ * @param {Object} criteria - Map of index field group name to value
+ * @return {String} - Sord ID or null
+ */
+function findSordByIndex(criteria) {
+    var findInfo = new FindInfo();
+    findInfo.findByIndex = new FindByIndex();
+    
+    var objKeys = [];
+    for (var fieldName in criteria) {
+        var objKey = new ObjKey();
+        objKey.name = fieldName;
+        objKey.data = [String(criteria[fieldName])];
+        objKeys.push(objKey);
+    }
+    findInfo.findByIndex.objKeys = objKeys;
+    
+    var findResult = ixConnect.ix().findFirstSords(findInfo, 1, SordC.mbMin);
+    
+    try {
+        if (findResult.sords && findResult.sords.length > 0) {
+            return findResult.sords[0].id;
+        }
+        return null;
+    } finally {
+        if (findResult.searchId) {
+            ixConnect.ix().findClose(findResult.searchId);
+        }
+    }
+}
+
+/**
+ * Calculate the SHA-256 hash of a file
+ * @param {File} file - The file
+ * @return {String} - Hex encoded hash
+ */
+function computeFileHash(file) {
+    var digest = java.security.MessageDigest.getInstance("SHA-256");
+    var inputStream = new java.io.FileInputStream(file);
+    
+    try {
+        var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 65536);
+        var bytesRead;
+        while ((bytesRead = inputStream.read(buffer)) !== -1) {
+            digest.update(buffer, 0, bytesRead);
+        }
+    } finally {
+        inputStream.close();
+    }
+    
+    var hashBytes = digest.digest();
+    var hex = "";
+    for (var i = 0; i < hashBytes.length; i++) {
+        hex += ("0" + (hashBytes[i] & 0xff).toString(16)).slice(-2);
+    }
+    return hex;
+}
+
+/**
+ * Record a state transition of a file in the import journal
+ * States: DETECTED, SORD_CREATED, CONTENT_UPLOADED, WORKFLOW_STARTED, MOVED (done) and FAILED (done).
+ * @param {Object} context - The import context
+ * @param {String} state - The new state
+ * @param {Object} details - Optional values to store on the entry, e.g. sordId or workflowId
+ */
+function updateJournal(context, state, details) {
+    if (!CONFIG.JOURNAL.enabled) {
+        return;
+    }
+    
+    try {
+        var entries = loadJournal().entries;
+        var path = String(context.file.getAbsolutePath());
+        var key = getJournalKey(context.hash, path);
+        var entry = entries[key];
+        var now = new Date().toISOString();
+        
+        // A new detection starts a new entry, earlier runs of the same file are history
+        if (!entry || state === "DETECTED") {
+            entry = entries[key] = {
+                hash: context.hash,
+                history: []
+            };
+        }
+        
+        entry.fileName = String(context.file.getName());
+        entry.path = path;
+        entry.hotfolder = context.hotfolder.NAME;
+        entry.workflowTemplate = context.route ? context.route.workflowTemplate : null;
+        entry.workflowStart = context.workflowStart;
+        entry.state = state;
+        entry.updated = now;
+        entry.history.push({ state: state, at: now });
+        
+        for (var name in details) {
+            entry[name] = details[name];
+        }
+        
+        saveJournalEntry(key);
+        
+    } catch (e) {
+        logger.error("Failed to update import journal for: " + context.file.getName() + " (" + state + ")", e);
+    }
+}
+
+/**
+ * Files with the same content in different places are imported independently, so entries are kept per file
+ * @param {String} hash - Content hash of the file
+ * @param {String} path - Absolute path of the file
+ * @return {String} - Key of the file's journal entry
+ */
+function getJournalKey(hash, path) {
+    return hash + "|" + path;
+}
+
+/**
+ * Load the journal file, starting with an empty journal if it is missing
+ * The file holds one JSON record per line, each line replaces or removes one entry. Unreadable lines,
+ * e.g. a line cut off by a crash, are skipped.
+ * @return {Object} - The journal with its entries keyed by getJournalKey, and the number of records in the file
+ */
+function loadJournal() {
+    if (journal) {
+        return journal;
+    }
+    
+    var journalFile = new java.io.File(CONFIG.JOURNAL.file);
+    journal = { entries: {}, records: 0 };
+    
+    if (!journalFile.exists()) {
+        return journal;
+    }
+    
+    var lines = String(sol.common.FileUtils.readFileToString(journalFile, "UTF-8")).split(/\r?\n/);
+    
+    for (var i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        
+        var record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch (e) {
+            logger.warn("Import journal: skipping unreadable record in line " + (i + 1) + " of " + journalFile.getName());
+            continue;
+        }
+        
+        if (record.removed) {
+            delete journal.entries[record.key];
+        } else {
+            journal.entries[record.key] = record.entry;
+        }
+        journal.records++;
+    }
+    return journal;
+}
+
+/**
+ * Append the current state of one entry to the journal file, or its removal if the entry was deleted
+ * @param {String} key - Key of the entry
+ */
+function saveJournalEntry(key) {
+    var entry = journal.entries[key];
+    var record = entry ? { key: key, entry: entry } : { key: key, removed: true };
+    var journalFile = new java.io.File(CONFIG.JOURNAL.file);
+    
+    createDirectoryIfNotExists(journalFile.getAbsoluteFile().getParent());
+    var outputStream = new java.io.FileOutputStream(journalFile, true);
+    try {
+        var writer = new java.io.OutputStreamWriter(outputStream, "UTF-8");
+        writer.write(JSON.stringify(record) + "\n");
+        writer.flush();
+        outputStream.getFD().sync();
+    } finally {
+        outputStream.close();
+    }
+    journal.records++;
+}
+
+/**
+ * Rewrite the journal file with one record per entry once superseded records make up most of it
+ * The file is replaced through a temporary file, so a crash never leaves a half written journal.
+ */
+function compactJournal() {
+    var lines = [];
+    for (var key in journal.entries) {
+        lines.push(JSON.stringify({ key: key, entry: journal.entries[key] }));
+    }
+    
+    if (journal.records <= lines.length * 2 + 100) {
+        return;
+    }
+    
+    writeFileAtomically(new java.io.File(CONFIG.JOURNAL.file), lines.length > 0 ? lines.join("\n") + "\n" : "");
+    journal.records = lines.length;
+    logger.debug("Import journal compacted to " + lines.length + " entries");
+}
+
+/**
+ * Files whose import is unfinished must not be imported again, that would create a second Sord
+ * @return {Object} - Absolute paths of files with an unfinished journal entry, mapped to the entry's state
+ */
+function getUnfinishedJournalFiles() {
+    var files = {};
+    if (!CONFIG.JOURNAL.enabled) {
+        return files;
+    }
+    
+    var entries = loadJournal().entries;
+    for (var key in entries) {
+        if (["SORD_CREATED", "CONTENT_UPLOADED", "WORKFLOW_STARTED"].indexOf(entries[key].state) !== -1) {
+            files[entries[key].path] = entries[key].state;
+        }
+    }
+    return files;
+}
+
+/**
+ * Replace a file by writing a temporary file first and renaming it, so readers never see partial content
+ * @param {File} file - Target file
+ * @param {String} content - File content
+ */
+function writeFileAtomically(file, content) {
+    var tempFile = new java.io.File(file.getAbsolutePath() + ".tmp");
+    
+    createDirectoryIfNotExists(file.getAbsoluteFile().getParent());
+    writeTextFile(tempFile, content);
+    
+    java.nio.file.Files.move(tempFile.toPath(), file.toPath(),
+        java.nio.file.StandardCopyOption.REPLACE_EXISTING, java.nio.file.StandardCopyOption.ATOMIC_MOVE);
+}
+
+/**
+ * Write a UTF-8 text file and flush it to disk
+ * @param {File} file - Target file
+ * @param {String} content - File content
+ */
+function writeTextFile(file, content) {
+    var outputStream = new java.io.FileOutputStream(file);
+    try {
+        var writer = new java.io.OutputStreamWriter(outputStream, "UTF-8");
+        writer.write(content);
+        writer.flush();
+        outputStream.getFD().sync();
+    } finally {
+        outputStream.close();
+    }
+}
+
+/**
+ * Complete journal entries left behind by a crash or an earlier failed resume, before new files are picked up
+ * - DETECTED: nothing was created in ELO, the entry is dropped and the file is imported normally
+ * - SORD_CREATED: the content is uploaded into the existing Sord, or the empty Sord is removed if the file is gone
+ * - CONTENT_UPLOADED: the workflow is started
+ * - WORKFLOW_STARTED: the file is moved to the processed directory
+ * An entry that cannot be resumed stays unfinished and is tried again in the next run; until then its file is not imported.
+ * Entries that are done are removed after the retention period.
+ */
+function reconcileJournal() {
+    if (!CONFIG.JOURNAL.enabled) {
+        return;
+    }
+    
+    var entries = loadJournal().entries;
+    var retentionMs = (CONFIG.JOURNAL.retentionDays || 30) * 24 * 60 * 60 * 1000;
+    var now = new Date().getTime();
+    
+    for (var key in entries) {
+        var entry = entries[key];
+        
+        try {
+            if (entry.state === "MOVED" || entry.state === "FAILED") {
+                if (now - new Date(entry.updated).getTime() > retentionMs) {
+                    delete entries[key];
+                    saveJournalEntry(key);
+                }
+                continue;
+            }
+            
+            if (entry.state === "DETECTED") {
+                logger.info("Journal: " + entry.fileName + " was detected but not imported, it will be imported again");
+                delete entries[key];
+                saveJournalEntry(key);
+                continue;
+            }
+            
+            resumeJournalEntry(entry);
+            delete entry.resumeError;
+            saveJournalEntry(key);
+            
+        } catch (e) {
+            logger.error("Journal: failed to resume " + entry.fileName + " (state " + entry.state + "), the file is not imported until the resume succeeds", e);
+            entry.resumeError = String(e.message || e);
+            entry.updated = new Date().toISOString();
+            saveJournalEntry(key);
+        }
+    }
+    
+    compactJournal();
+}
+
+/**
+ * Continue an interrupted import from its last recorded state
+ * @param {Object} entry - The journal entry
+ */
+function resumeJournalEntry(entry) {
+    var file = new java.io.File(entry.path);
+    var hotfolder = findHotfolder(entry.hotfolder);
+    var now = new Date().toISOString();
+    
+    logger.info("Journal: resuming " + entry.fileName + " from state " + entry.state + " (Sord ID: " + entry.sordId + ")");
+    
+    if (entry.state === "SORD_CREATED") {
+        if (!file.exists()) {
+            logger.warn("Journal: file " + entry.path + " is gone, removing empty Sord ID: " + entry.sordId);
+            ixConnect.ix().deleteSord(null, entry.sordId, LockC.NO, null);
+            entry.state = "FAILED";
+            entry.updated = now;
+            entry.history.push({ state: entry.state, at: now });
+            return;
+        }
+        if (!uploadDocument(entry.sordId, file)) {
+            throw new Error("Upload into existing Sord failed");
+        }
+        if (CONFIG.COMPANION_FILES.enabled) {
+            storeCompanionFiles(entry.sordId, findCompanionFiles(file));
+        }
+        entry.state = "CONTENT_UPLOADED";
+        entry.history.push({ state: entry.state, at: now });
+    }
+    
+    if (entry.state === "CONTENT_UPLOADED") {
+        entry.workflowId = startWorkflowWithRetry(entry.sordId, entry.workflowTemplate, entry.workflowStart);
+        entry.state = "WORKFLOW_STARTED";
+        entry.history.push({ state: entry.state, at: now });
+    }
+    
+    if (entry.state === "WORKFLOW_STARTED") {
+        if (file.exists()) {
+            moveFileToProcessedDir(file, hotfolder);
+        }
+        entry.state = "MOVED";
+        entry.history.push({ state: entry.state, at: now });
+    }
+    
+    entry.updated = now;
+    logger.info("Journal: completed " + entry.fileName + " (Sord ID: " + entry.sordId + ")");
+}
+
+/**
+ * @param {String} name - Hotfolder name
+ * @return {Object} - The hotfolder with this name, or the first hotfolder if it no longer exists
+ */
+function findHotfolder(name) {
+    for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+        if (CONFIG.HOTFOLDERS[h].NAME === name) {
+            return CONFIG.HOTFOLDERS[h];
+        }
+    }
+    return CONFIG.HOTFOLDERS[0];
+}
+
+/**
+ * Import PDF file to ELO Archive with enhanced validation
+ * @param {File} pdfFile - The PDF file to import
+ * @param {Object} context - The import context
+ * @return {String} - The Sord ID of the imported document
+ */
+function importFileToELOWithValidation(pdfFile, context) {
+    try {
+        // Validate file before import
+        var validationError = getValidationError(pdfFile, context.hotfolder);
+        if (validationError) {
+            throw validationError;
+        }
+        
+        // The group is imported as a whole, an invalid companion fails its main document
+        for (var c = 0; c < context.companions.length; c++) {
+            var companionError = getValidationError(context.companions[c], context.hotfolder);
+            if (companionError) {
+                throw createImportError("COMPANION_INVALID", "Companion file " + context.companions[c].getName() + " is invalid: " + companionError.code + " " + companionError.message, companionError);
+            }
+        }
+        
+        // Get parent folder ID
+        var parentId;
+        try {
+            parentId = getOrCreateArchiveFolder(context.route.archivePath, context);
+        } catch (folderError) {
+            throw createImportError("FOLDER_FAILED", "Archive folder " + context.route.archivePath + " could not be resolved: " + folderError.message, folderError);
+        }
+        
+        // Resolve metadata mask first so the new Sord gets the mask's index fields
+        var maskId = getMaskId(context.route.metadataMask);
+        if (context.route.metadataMask && !maskId) {
+            throw createImportError("MASK_NOT_FOUND", "Mask not found: " + context.route.metadataMask);
+        }
+        
+        // Create new Sord with enhanced metadata
+        var sord;
+        try {
+            sord = ixConnect.ix().createSord(parentId, maskId, EditInfoC.mbSord).sord;
+        } catch (createError) {
+            throw createImportError("CHECKIN_FAILED", "Sord could not be created in folder " + parentId + ": " + createError.message, createError);
+        }
+        
+        // Set document name from the route's name template (file name without extension by default)
+        var fileName = pdfFile.getName();
+        var docName = resolvePlaceholders(context.route.sordName, context).trim();
+        sord.name = docName || fileName.substring(0, fileName.lastIndexOf('.'));
+        context.sordName = String(sord.name);
+        
+        // Set metadata mask
+        if (maskId) {
+            sord.mask = maskId;
+        }
+        
+        // Set document type and additional metadata
+        sord.type = SordC.LBT_DOCUMENT;
+        sord.desc = "Imported by PDFImportService on " + new Date().toISOString();
+        if (context.duplicateOf) {
+            sord.desc += "\nPossible duplicate of Sord ID " + context.duplicateOf;
+        }
+        if (context.batch) {
+            sord.desc += "\nPart " + context.batch.part + " of " + context.batch.parts + " of batch " + context.batch.file + " (pages " + context.batch.pages + ")";
+        }
+        
+        // Add custom metadata if mask supports it
+        try {
+            setCustomMetadata(sord, pdfFile, context);
+        } catch (metaError) {
+            logger.warn("Failed to set custom metadata, continuing with basic import", metaError);
+        }
+        
+        // Check in the Sord
+        var sordId;
+        try {
+            sordId = ixConnect.ix().checkinSord(sord, SordC.mbAll, LockC.NO).sord.id;
+        } catch (checkinError) {
+            throw createImportError("CHECKIN_FAILED", "Sord could not be checked in: " + checkinError.message, checkinError);
+        }
+        updateJournal(context, "SORD_CREATED", { sordId: sordId });
+        
+        // Upload the file, converted to PDF if configured
+        var uploadError = null;
+        try {
+            if (!uploadDocument(sordId, pdfFile)) {
+                uploadError = createImportError("UPLOAD_FAILED", "File upload failed for Sord ID: " + sordId);
+            } else if (context.companions.length > 0 || isMailArchived(context)) {
+                try {
+                    storeCompanionFiles(sordId, context.companions, null, isEInvoiceXmlAttached(context));
+                    if (isMailArchived(context)) {
+                        storeMail(sordId, context);
+                    }
+                } catch (companionError) {
+                    uploadError = companionError.code ? companionError : createImportError("UPLOAD_FAILED", "Companion files could not be stored with Sord ID " + sordId + ": " + companionError.message, companionError);
+                }
+            }
+        } catch (conversionError) {
+            uploadError = classifyError(conversionError);
+        }
+        
+        if (uploadError) {
+            // Cleanup failed import
+            try {
+                ixConnect.ix().deleteSord(null, sordId, LockC.NO, null);
+            } catch (cleanupError) {
+                logger.warn("Failed to cleanup failed import for Sord ID: " + sordId, cleanupError);
+            }
+            throw uploadError;
+        }
+        
+        updateJournal(context, "CONTENT_UPLOADED");
+        
+        if (context.eInvoice) {
+            try {
+                storeEInvoiceData(sordId, context);
+            } catch (eInvoiceError) {
+                logger.warn("Failed to store e-invoice data for Sord ID: " + sordId, eInvoiceError);
+            }
+        }
+        
+        if (context.batch) {
+            try {
+                storeBatchInfo(sordId, context);
+            } catch (batchError) {
+                logger.warn("Failed to store batch information for Sord ID: " + sordId, batchError);
+            }
+        }
+        return sordId;
+        
+    } catch (e) {
+        logger.error("Error importing file to ELO: " + pdfFile.getName(), e);
+        throw e;
+    }
+}
+
+/**
+ * Upload a file as the document content. Images listed in formats.convertToPdf are uploaded as PDF,
+ * the original file becomes the attachment of the document.
+ * @param {String} sordId - The Sord ID
+ * @param {File} file - The file to import
+ * @param {String} versionLabel - Optional version label, defaults to "1.0"
+ * @param {String} comment - Optional version comment
+ * @return {boolean} - Success status
+ */
+function uploadDocument(sordId, file, versionLabel, comment) {
+    var format = detectFileFormat(file);
+    if ((CONFIG.FORMATS.convertToPdf || []).indexOf(format) === -1) {
+        return uploadPDFFile(sordId, file, versionLabel, comment);
+    }
+    
+    var pdfFile = convertImageToPDF(file, format);
+    try {
+        if (!uploadPDFFile(sordId, pdfFile, versionLabel, comment)) {
+            return false;
+        }
+        if (CONFIG.FORMATS.keepOriginal !== false) {
+            uploadAttachment(sordId, readFileInChunks(file), DOCUMENT_FORMATS[format].ext, "Original " + file.getName() + " converted to PDF by PDFImportService");
+        }
+        return true;
+    } finally {
+        pdfFile["delete"]();
+    }
+}
+
+/**
+ * Upload PDF file with enhanced error handling
+ * @param {String} sordId - The Sord ID
+ * @param {File} pdfFile - The PDF file
+ * @param {String} versionLabel - Optional version label, defaults to "1.0"
+ * @param {String} comment - Optional version comment
+ * @return {boolean} - Success status
+ */
+function uploadPDFFile(sordId, pdfFile, versionLabel, comment) {
+    try {
+        var docVersion = new DocVersion();
+        docVersion.comment = comment || "Imported by PDFImportService Enhanced on " + new Date().toISOString();
+        docVersion.version = (versionLabel === undefined) ? "1.0" : versionLabel;
+        var format = getFileType(pdfFile);
+        docVersion.ext = format.ext;
+        docVersion.contentType = format.mimeType;
+        
+        var document = ixConnect.ix().checkinDocBegin(sordId);
+        document.docs[0].version = docVersion;
+        
+        // Read file in chunks for large files
+        var fileData = readFileInChunks(pdfFile);
+        
+        if (!fileData) {
+            throw new Error("Failed to read file data");
+        }
+        
+        var uploadResult = ixConnect.upload(fileData, document.docs[0].url);
+        
+        if (uploadResult) {
+            ixConnect.ix().checkinDocEnd(sordId, SordC.mbAll, document);
+            logger.debug("File uploaded successfully: " + pdfFile.getName() + " (" + fileData.length + " bytes)");
+            return true;
+        } else {
+            throw new Error("Upload operation returned false");
+        }
+        
+    } catch (e) {
+        logger.error("Error uploading file: " + pdfFile.getName(), e);
+        return false;
+    }
+}
+
+/**
+ * Start workflow with retry mechanism
+ * @param {String} sordId - The Sord ID of the document
+ * @param {String} workflowTemplate - Name of the workflow template, empty to start no workflow
+ * @param {Object} workflowStart - Optional name, variables and node assignments from createWorkflowStart
+ * @return {String} - ID of the started workflow, null if no workflow is configured
+ */
+function startWorkflowWithRetry(sordId, workflowTemplate, workflowStart) {
+    var attempts = 0;
+    var maxAttempts = 2; // Fewer retries for workflow as it's less critical
+    
+    if (!workflowTemplate) {
+        logger.info("No workflow configured for Sord ID: " + sordId);
+        return null;
+    }
+    
+    while (attempts < maxAttempts) {
+        try {
+            attempts++;
+            logger.info("Starting workflow for Sord ID: " + sordId + " (Attempt " + attempts + "/" + maxAttempts + ")");
+            
+            // Get workflow template
+            var wfTemplate = ixConnect.ix().checkoutWorkFlow(workflowTemplate, WFTypeC.TEMPLATE, WFDiagramC.mbAll, LockC.NO);
+            
+            if (!wfTemplate) {
+                throw new Error("Workflow template not found: " + workflowTemplate);
+            }
+            
+            // Create workflow instance
+            var wfInstance = ixConnect.ix().createWorkFlow(wfTemplate, sordId);
+            
+            // Variables and assignments must be in place before the first node runs
+            if (workflowStart) {
+                prepareWorkflowInstance(wfInstance, sordId, workflowStart);
+            }
+            
+            // Start the workflow
+            ixConnect.ix().startWorkFlow(wfInstance.id, (workflowStart && workflowStart.name) || "Started by PDFImportService");
+            
+            logger.info("Workflow started successfully for Sord ID: " + sordId + " (Workflow ID: " + wfInstance.id + ")");
+            return wfInstance.id;
+            
+        } catch (e) {
+            logger.warn("Workflow start attempt " + attempts + " failed for Sord ID: " + sordId + " - " + e.message);
+            
+            if (attempts < maxAttempts) {
+                java.lang.Thread.sleep(2000); // Wait 2 seconds before retry
+            } else {
+                throw e;
+            }
+        }
+    }
+}
+
+/**
+ * Assign users to workflow nodes and write the workflow variables into the map of a created, not yet started workflow.
+ * If this fails the instance is deleted, so a retry does not leave an unstarted workflow behind.
+ * @param {WFDiagram} wfInstance - The created workflow
+ * @param {String} sordId - The Sord ID of the document
+ * @param {Object} workflowStart - name, variables and assignments from createWorkflowStart
+ */
+function prepareWorkflowInstance(wfInstance, sordId, workflowStart) {
+    try {
+        var assignments = workflowStart.assignments || [];
+        if (assignments.length > 0) {
+            var nodes = wfInstance.nodes || [];
+            for (var i = 0; i < assignments.length; i++) {
+                var assigned = false;
+                for (var j = 0; j < nodes.length; j++) {
+                    if (String(nodes[j].name) === assignments[i].node || String(nodes[j].id) === assignments[i].node) {
+                        nodes[j].userName = assignments[i].user;
+                        assigned = true;
+                    }
+                }
+                if (assigned) {
+                    logger.debug("Workflow node " + assignments[i].node + " assigned to " + assignments[i].user);
+                } else {
+                    logger.warn("Workflow node " + assignments[i].node + " not found in workflow of Sord ID: " + sordId);
+                }
+            }
+            ixConnect.ix().checkinWorkFlow(wfInstance, WFDiagramC.mbAll, LockC.NO);
+        }
+        
+        writeWorkflowMapFields(wfInstance.id, sordId, workflowStart.variables || {});
+        
+    } catch (e) {
+        try {
+            ixConnect.ix().deleteWorkFlow(String(wfInstance.id), WFTypeC.ACTIVE, LockC.NO);
+        } catch (cleanupError) {
+            logger.warn("Failed to delete unstarted workflow " + wfInstance.id, cleanupError);
+        }
+        throw e;
+    }
+}
+
+/**
+ * Validate PDF file before processing
+ * @param {File} pdfFile - The PDF file to validate
+ * @param {Object} hotfolder - The hotfolder whose filters apply
+ * @return {Error} - Classified validation error, null if the file is valid
+ */
+function getValidationError(pdfFile, hotfolder) {
+    try {
+        // Check file exists and is readable
+        if (!pdfFile.exists() || !pdfFile.canRead()) {
+            logger.warn("File does not exist or is not readable: " + pdfFile.getName());
+            return createImportError("NOT_IMPORTABLE", "File does not exist or is not readable");
+        }
+        
+        // Check file size
+        var fileSize = pdfFile.length();
+        if (fileSize === 0) {
+            logger.warn("File is empty: " + pdfFile.getName());
+            return createImportError("EMPTY_FILE", "File is empty");
+        }
+        
+        if (fileSize < hotfolder.MIN_FILE_SIZE) {
+            logger.debug("File too small (" + fileSize + " bytes): " + pdfFile.getName());
+            return createImportError("FILE_TOO_SMALL", "File too small (" + fileSize + " bytes, minimum " + hotfolder.MIN_FILE_SIZE + ")");
+        }
+        
+        if (fileSize > hotfolder.MAX_FILE_SIZE) {
+            logger.warn("File too large (" + fileSize + " bytes): " + pdfFile.getName());
+            return createImportError("FILE_TOO_LARGE", "File too large (" + fileSize + " bytes, maximum " + hotfolder.MAX_FILE_SIZE + ")");
+        }
+        
+        // Check file extension
+        var fileName = pdfFile.getName().toLowerCase();
+        var hasValidExtension = false;
+        for (var i = 0; i < hotfolder.ALLOWED_EXTENSIONS.length; i++) {
+            if (fileName.endsWith(hotfolder.ALLOWED_EXTENSIONS[i].toLowerCase())) {
+                hasValidExtension = true;
+                break;
+            }
+        }
+        
+        if (!hasValidExtension) {
+            logger.warn("Invalid file extension: " + pdfFile.getName());
+            return createImportError("NOT_IMPORTABLE", "Invalid file extension");
+        }
+        
+        // Check include and exclude filters
+        var filterError = checkFileFilters(pdfFile, hotfolder);
+        if (filterError) {
+            return filterError;
+        }
+        
+        // XML files must be e-invoices, all other formats are recognized by their first bytes
+        if (isXmlFile(pdfFile)) {
+            if (!isEInvoiceXmlFile(pdfFile)) {
+                logger.debug("XML file is not an e-invoice: " + pdfFile.getName());
+                return createImportError("NOT_IMPORTABLE", "XML file is not an e-invoice");
+            }
+            logger.debug("File validation passed: " + pdfFile.getName() + " (" + fileSize + " bytes)");
+            return null;
+        }
+        
+        var header = readFileBytes(pdfFile, 0, 8);
+        if (header === null) {
+            logger.warn("Could not read file header of: " + pdfFile.getName());
+            return createImportError("NOT_IMPORTABLE", "Could not read file header");
+        }
+        
+        var format = detectFormat(header);
+        if (!format) {
+            logger.warn("Invalid file header, no PDF, TIFF, JPEG or PNG: " + pdfFile.getName());
+            return createImportError("INVALID_HEADER", "Invalid file header, no PDF, TIFF, JPEG or PNG");
+        }
+        
+        if (format !== "pdf") {
+            if ((CONFIG.FORMATS.convertToPdf || []).indexOf(format) !== -1 && !javax.imageio.ImageIO.getImageReadersByFormatName(format).hasNext()) {
+                logger.warn("No image reader for " + format + " available, cannot convert: " + pdfFile.getName());
+                return createImportError("UNSUPPORTED_FORMAT", "No image reader for " + format + " available in this Java runtime");
+            }
+            logger.debug("File validation passed: " + pdfFile.getName() + " (" + format + ", " + fileSize + " bytes)");
+            return null;
+        }
+        
+        if (CONFIG.PDF_VALIDATION.enabled) {
+            var integrityError = checkPDFIntegrity(pdfFile, fileSize);
+            if (integrityError) {
+                return integrityError;
+            }
+        }
+        
+        logger.debug("File validation passed: " + pdfFile.getName() + " (" + fileSize + " bytes)");
+        return null;
+        
+    } catch (e) {
+        logger.error("Error validating file: " + pdfFile.getName(), e);
+        return createImportError("NOT_IMPORTABLE", "Error validating file: " + e.message, e);
+    }
+}
+
+// Importable formats, recognized by the magic bytes at the start of the file (XML by its extension)
+var DOCUMENT_FORMATS = {
+    pdf: { ext: "pdf", mimeType: "application/pdf", magic: ["%PDF"] },
+    tiff: { ext: "tif", mimeType: "image/tiff", magic: ["II*\u0000", "MM\u0000*"] },
+    jpeg: { ext: "jpg", mimeType: "image/jpeg", magic: ["\u00FF\u00D8\u00FF"] },
+    png: { ext: "png", mimeType: "image/png", magic: ["\u0089PNG\r\n\u001A\n"] },
+    xml: { ext: "xml", mimeType: "application/xml", magic: [] }
+};
+
+// Mail files are archived with the documents, they are not imported as documents themselves
+var MAIL_FORMATS = {
+    eml: { ext: "eml", mimeType: "message/rfc822" },
+    msg: { ext: "msg", mimeType: "application/vnd.ms-outlook" }
+};
+
+/**
+ * @param {File} file - A file to upload
+ * @return {Object} - ext and mimeType of the detected document format or mail format, PDF if neither is recognized
+ */
+function getFileType(file) {
+    var format = DOCUMENT_FORMATS[detectFileFormat(file)];
+    if (format) {
+        return format;
+    }
+    
+    var match = /\.(eml|msg)$/i.exec(String(file.getName()));
+    return match ? MAIL_FORMATS[match[1].toLowerCase()] : DOCUMENT_FORMATS.pdf;
+}
+
+/**
+ * @param {File} file - A file
+ * @return {String} - Key of the file's format in DOCUMENT_FORMATS, or null if it is not recognized
+ */
+function detectFileFormat(file) {
+    if (isXmlFile(file)) {
+        return "xml";
+    }
+    return detectFormat(readFileBytes(file, 0, 8) || "");
+}
+
+/**
+ * @param {String} header - The first bytes of a file as ISO-8859-1 text
+ * @return {String} - Key of the matching format in DOCUMENT_FORMATS or null
+ */
+function detectFormat(header) {
+    for (var name in DOCUMENT_FORMATS) {
+        var magic = DOCUMENT_FORMATS[name].magic;
+        for (var i = 0; i < magic.length; i++) {
+            if (header.indexOf(magic[i]) === 0) {
+                return name;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert an image file to a PDF with one A4 page per image, TIFF files may contain several pages
+ * @param {File} file - The image file
+ * @param {String} format - Format of the file, "tiff", "jpeg" or "png"
+ * @return {File} - Temporary PDF file, to be deleted by the caller
+ */
+function convertImageToPDF(file, format) {
+    var document = new org.apache.pdfbox.pdmodel.PDDocument();
+    var pdfFile = null;
+    
+    try {
+        if (format === "jpeg") {
+            // JPEG data is embedded as is, without decoding and compressing it again
+            var input = new java.io.FileInputStream(file);
+            try {
+                addImagePage(document, org.apache.pdfbox.pdmodel.graphics.image.JPEGFactory.createFromStream(document, input));
+            } finally {
+                input.close();
+            }
+        } else {
+            var stream = javax.imageio.ImageIO.createImageInputStream(file);
+            try {
+                var readers = javax.imageio.ImageIO.getImageReaders(stream);
+                if (!readers.hasNext()) {
+                    throw new Error("No image reader for " + format + " available");
+                }
+                var reader = readers.next();
+                reader.setInput(stream);
+                try {
+                    var pageCount = reader.getNumImages(true);
+                    for (var i = 0; i < pageCount; i++) {
+                        addImagePage(document, org.apache.pdfbox.pdmodel.graphics.image.LosslessFactory.createFromImage(document, reader.read(i)));
+                    }
+                } finally {
+                    reader.dispose();
+                }
+            } finally {
+                stream.close();
+            }
+        }
+        
+        pdfFile = java.io.File.createTempFile("pdfimport_", ".pdf");
+        document.save(pdfFile);
+        logger.info("Converted " + format + " to PDF with " + document.getNumberOfPages() + " page(s): " + file.getName());
+        return pdfFile;
+        
+    } catch (e) {
+        if (pdfFile) {
+            pdfFile["delete"]();
+        }
+        throw createImportError("CONVERSION_FAILED", "Could not convert " + format + " to PDF: " + e.message, e);
+    } finally {
+        document.close();
+    }
+}
+
+/**
+ * Add an A4 page showing the image, scaled to fit and centered; wide images get a landscape page
+ * @param {PDDocument} document - The PDF document
+ * @param {PDImageXObject} image - The image
+ */
+function addImagePage(document, image) {
+    var a4 = org.apache.pdfbox.pdmodel.common.PDRectangle.A4;
+    var landscape = image.getWidth() > image.getHeight();
+    var pageWidth = landscape ? a4.getHeight() : a4.getWidth();
+    var pageHeight = landscape ? a4.getWidth() : a4.getHeight();
+    
+    var page = new org.apache.pdfbox.pdmodel.PDPage(new org.apache.pdfbox.pdmodel.common.PDRectangle(pageWidth, pageHeight));
+    document.addPage(page);
+    
+    var scale = Math.min(pageWidth / image.getWidth(), pageHeight / image.getHeight());
+    var width = image.getWidth() * scale;
+    var height = image.getHeight() * scale;
+    
+    var content = new org.apache.pdfbox.pdmodel.PDPageContentStream(document, page);
+    try {
+        content.drawImage(image, (pageWidth - width) / 2, (pageHeight - height) / 2, width, height);
+    } finally {
+        content.close();
+    }
+}
+
+// Keys of the PDF document information that link a split part to its batch file
+var BATCH_INFO_KEYS = {
+    file: "PDFImport.BatchFile",
+    hash: "PDFImport.BatchHash",
+    part: "PDFImport.BatchPart",
+    parts: "PDFImport.BatchParts",
+    pages: "PDFImport.BatchPages"
+};
+
+/**
+ * Split a batch scan into one PDF per document. The parts are saved next to the batch file and carry
+ * its name, hash and page range in their document information; the batch file moves to the processed directory.
+ * @param {File} file - The file to check
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @return {boolean} - true if the file was split, false if it is imported as it is
+ */
+function splitBatchFile(file, hotfolder) {
+    if (detectFileFormat(file) !== "pdf") {
+        return false;
+    }
+    
+    var document = null;
+    var writtenParts = [];
+    try {
+        document = org.apache.pdfbox.pdmodel.PDDocument.load(file);
+        if (getBatchInfo(document)) {
+            return false;
+        }
+        
+        var parts = findBatchParts(document, hotfolder.SPLITTING);
+        if (parts.length < 2) {
+            return false;
+        }
+        
+        var fileName = String(file.getName());
+        var baseName = fileName.lastIndexOf('.') > 0 ? fileName.substring(0, fileName.lastIndexOf('.')) : fileName;
+        var digits = Math.max(2, String(parts.length).length);
+        var partName = function (index) {
+            var number = String(index + 1);
+            while (number.length < digits) {
+                number = "0" + number;
+            }
+            return baseName + "_part" + number + ".pdf";
+        };
+        
+        // Parts are written last to first, so an existing first part of this batch means an interrupted split was complete.
+        // A first part of another batch with the same name (scanners reuse names) is left alone, the parts get a numbered name.
+        var hash = computeFileHash(file);
+        var nameBase = baseName;
+        for (var n = 2; new java.io.File(file.getParentFile(), partName(0)).exists(); n++) {
+            var firstPart = readBatchInfo(new java.io.File(file.getParentFile(), partName(0)));
+            if (firstPart && firstPart.hash === hash) {
+                logger.warn("Batch " + fileName + " was already split, moving it to the processed directory");
+                moveFileToProcessedDir(file, hotfolder);
+                return true;
+            }
+            baseName = nameBase + "_" + n;
+        }
+        
+        for (var i = parts.length - 1; i >= 0; i--) {
+            var pages = (parts[i].first + 1) + "-" + (parts[i].last + 1);
+            var partDocument = new org.apache.pdfbox.pdmodel.PDDocument();
+            try {
+                for (var page = parts[i].first; page <= parts[i].last; page++) {
+                    partDocument.importPage(document.getPage(page));
+                }
+                
+                var info = partDocument.getDocumentInformation();
+                info.setCustomMetadataValue(BATCH_INFO_KEYS.file, fileName);
+                info.setCustomMetadataValue(BATCH_INFO_KEYS.hash, hash);
+                info.setCustomMetadataValue(BATCH_INFO_KEYS.part, String(i + 1));
+                info.setCustomMetadataValue(BATCH_INFO_KEYS.parts, String(parts.length));
+                info.setCustomMetadataValue(BATCH_INFO_KEYS.pages, pages);
+                var partFile = new java.io.File(file.getParentFile(), partName(i));
+                writtenParts.push(partFile);
+                partDocument.save(partFile);
+            } finally {
+                partDocument.close();
+            }
+        }
+        
+        logger.info("Split batch " + fileName + " (" + document.getNumberOfPages() + " pages) into " + parts.length + " parts");
+        
+    } catch (e) {
+        // Parts of a failed split must not be imported, the batch is split again when it is re-driven
+        for (var j = 0; j < writtenParts.length; j++) {
+            if (writtenParts[j].exists() && !writtenParts[j]["delete"]()) {
+                logger.warn("Failed to delete part " + writtenParts[j].getName() + " of failed split of " + file.getName());
+            }
+        }
+        throw createImportError("SPLIT_FAILED", "Batch file could not be split: " + e.message, e);
+    } finally {
+        if (document) {
+            document.close();
+        }
+    }
+    
+    moveFileToProcessedDir(file, hotfolder);
+    return true;
+}
+
+/**
+ * Page ranges a file would be split into, used by the dry run
+ * @param {File} file - The PDF file
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @return {Array} - Parts with first and last page index, empty if the file is not split
+ */
+function findBatchPartsOfFile(file, hotfolder) {
+    var document = org.apache.pdfbox.pdmodel.PDDocument.load(file);
+    try {
+        var parts = getBatchInfo(document) ? [] : findBatchParts(document, hotfolder.SPLITTING);
+        return parts.length < 2 ? [] : parts;
+    } finally {
+        document.close();
+    }
+}
+
+/**
+ * Divide a document at separator pages or into parts of a fixed page count
+ * @param {PDDocument} document - The batch document
+ * @param {Object} splitting - Splitting configuration
+ * @return {Array} - Parts with first and last page index (0-based)
+ */
+function findBatchParts(document, splitting) {
+    var pageCount = document.getNumberOfPages();
+    var parts = [];
+    var current = null;
+    
+    if (pageCount < (splitting.minPages || 2)) {
+        return parts;
+    }
+    
+    var renderer = splitting.mode === "pageCount" ? null : new org.apache.pdfbox.rendering.PDFRenderer(document);
+    for (var i = 0; i < pageCount; i++) {
+        var separator = splitting.mode === "pageCount" ? i % (splitting.pageCount || 1) === 0 : isSeparatorPage(renderer, i, splitting);
+        
+        if (separator) {
+            logger.debug("Page " + (i + 1) + " starts a new part (" + (splitting.mode || "blankPage") + ")");
+            current = null;
+            if (splitting.mode !== "pageCount" && !splitting.keepSeparatorPages) {
+                continue;
+            }
+        }
+        
+        if (current) {
+            current.last = i;
+        } else {
+            current = { first: i, last: i };
+            parts.push(current);
+        }
+    }
+    return parts;
+}
+
+/**
+ * @param {PDFRenderer} renderer - Renderer of the batch document
+ * @param {Number} pageIndex - Index of the page
+ * @param {Object} splitting - Splitting configuration
+ * @return {boolean} - true if the page is blank or has a separator barcode, depending on the mode
+ */
+function isSeparatorPage(renderer, pageIndex, splitting) {
+    if (splitting.mode === "barcode") {
+        var pattern = new RegExp(splitting.barcodePattern || "^SEPARATOR$", "i");
+        var barcodes = readPageBarcodes(renderer, pageIndex, splitting.renderDpi || 150);
+        for (var i = 0; i < barcodes.length; i++) {
+            if (pattern.test(barcodes[i].text)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Blank page: share of dark pixels, ignoring a 5% margin where scanners leave shadows
+    var image = renderer.renderImageWithDPI(pageIndex, splitting.renderDpi || 30, org.apache.pdfbox.rendering.ImageType.GRAY);
+    var raster = image.getRaster();
+    var marginX = Math.floor(image.getWidth() * 0.05);
+    var marginY = Math.floor(image.getHeight() * 0.05);
+    var darkPixels = 0;
+    var totalPixels = 0;
+    
+    for (var y = marginY; y < image.getHeight() - marginY; y++) {
+        for (var x = marginX; x < image.getWidth() - marginX; x++) {
+            if (raster.getSample(x, y, 0) < 160) {
+                darkPixels++;
+            }
+            totalPixels++;
+        }
+    }
+    return totalPixels > 0 && darkPixels / totalPixels <= (splitting.blankPageMaxInk !== undefined ? splitting.blankPageMaxInk : 0.002);
+}
+
+/**
+ * Render a page and decode its barcodes
+ * @param {PDFRenderer} renderer - Renderer of the document
+ * @param {Number} pageIndex - Index of the page
+ * @param {Number} dpi - Render resolution
+ * @param {Array} formats - Optional ZXing format names to look for, all formats if empty
+ * @return {Array} - Barcodes found, each with format and text
+ */
+function readPageBarcodes(renderer, pageIndex, dpi, formats) {
+    return decodeBarcodes(renderer.renderImageWithDPI(pageIndex, dpi, org.apache.pdfbox.rendering.ImageType.GRAY), formats);
+}
+
+/**
+ * Decode all barcodes and QR codes in an image with ZXing
+ * @param {BufferedImage} image - The image
+ * @param {Array} formats - Optional ZXing format names to look for, all formats if empty
+ * @return {Array} - Barcodes found, each with format and text
+ */
+function decodeBarcodes(image, formats) {
+    var source = new com.google.zxing.client.j2se.BufferedImageLuminanceSource(image);
+    var bitmap = new com.google.zxing.BinaryBitmap(new com.google.zxing.common.HybridBinarizer(source));
+    var hints = new java.util.HashMap();
+    hints.put(com.google.zxing.DecodeHintType.TRY_HARDER, java.lang.Boolean.TRUE);
+    
+    if (formats && formats.length > 0) {
+        var possibleFormats = new java.util.ArrayList();
+        for (var f = 0; f < formats.length; f++) {
+            possibleFormats.add(com.google.zxing.BarcodeFormat.valueOf(formats[f]));
+        }
+        hints.put(com.google.zxing.DecodeHintType.POSSIBLE_FORMATS, possibleFormats);
+    }
+    
+    var barcodes = [];
+    try {
+        var results = new com.google.zxing.multi.GenericMultipleBarcodeReader(new com.google.zxing.MultiFormatReader()).decodeMultiple(bitmap, hints);
+        for (var i = 0; i < results.length; i++) {
+            barcodes.push({ format: String(results[i].getBarcodeFormat()), text: String(results[i].getText()) });
+        }
+    } catch (e) {
+        if (!(e.javaException instanceof com.google.zxing.NotFoundException)) {
+            throw e;
+        }
+    }
+    return barcodes;
+}
+
+/**
+ * Read the barcodes of the first pages (PDF) or of the image, take payment data from GiroCode and
+ * Swiss QR-bill codes and the configured fields from any barcode into the metadata
+ * @param {Object} context - The import context
+ */
+function applyBarcodes(context) {
+    var settings = CONFIG.BARCODES;
+    
+    try {
+        context.barcodes = readDocumentBarcodes(context.file, context.format, settings);
+    } catch (e) {
+        logger.warn("Could not read barcodes of: " + context.file.getName(), e);
+        return;
+    }
+    
+    if (context.barcodes.length === 0) {
+        logger.debug("No barcodes found in: " + context.file.getName());
+        return;
+    }
+    
+    var fields = settings.fields || {};
+    for (var i = 0; i < context.barcodes.length; i++) {
+        var text = context.barcodes[i].text;
+        
+        var paymentCode = settings.paymentCodes !== false && !context.paymentCode ? parsePaymentCode(text) : null;
+        if (paymentCode) {
+            context.paymentCode = paymentCode;
+            for (var paymentKey in paymentCode.values) {
+                context.metadata[paymentKey] = paymentCode.values[paymentKey];
+            }
+            continue;
+        }
+        
+        for (var key in fields) {
+            var match = new RegExp(fields[key].pattern, "i").exec(text);
+            if (match) {
+                context.metadata[key] = normalizeExtractedValue(match.length > 1 ? match[1] : match[0], fields[key].type);
+            }
+        }
+    }
+    
+    logger.info("Found " + context.barcodes.length + " barcode(s) in " + context.file.getName() +
+        (context.paymentCode ? " including a " + context.paymentCode.type + " payment code" : ""));
+}
+
+/**
+ * @param {File} file - PDF or image file
+ * @param {String} format - Format of the file from DOCUMENT_FORMATS
+ * @param {Object} settings - Barcode configuration
+ * @return {Array} - Barcodes found, each with format and text
+ */
+function readDocumentBarcodes(file, format, settings) {
+    if (format !== "pdf") {
+        var image = javax.imageio.ImageIO.read(file);
+        return image ? decodeBarcodes(image, settings.formats) : [];
+    }
+    
+    var document = org.apache.pdfbox.pdmodel.PDDocument.load(file);
+    try {
+        var renderer = new org.apache.pdfbox.rendering.PDFRenderer(document);
+        var pageCount = document.getNumberOfPages();
+        var maxPages = settings.maxPages !== undefined ? settings.maxPages : 2;
+        var barcodes = [];
+        
+        for (var i = 0; i < pageCount && (maxPages === 0 || i < maxPages); i++) {
+            barcodes = barcodes.concat(readPageBarcodes(renderer, i, settings.renderDpi || 200, settings.formats));
+        }
+        return barcodes;
+    } finally {
+        document.close();
+    }
+}
+
+/**
+ * Parse the content of an EPC QR code (GiroCode) or a Swiss QR-bill
+ * @param {String} text - Barcode text
+ * @return {Object} - type ("epc" or "swissqr") and values (iban, amountDue, currency, supplierName,
+ *                    paymentReference), or null for other codes
+ */
+function parsePaymentCode(text) {
+    var lines = text.split(/\r?\n/);
+    var values = {};
+    var type;
+    var amount;
+    
+    if (lines[0] === "BCD" && lines.length >= 7 && /^(SCT|INST)$/.test(lines[3])) {
+        type = "epc";
+        values.supplierName = lines[5];
+        values.iban = lines[6];
+        amount = /^([A-Z]{3})([0-9.]+)$/.exec(lines[7] || "");
+        if (amount) {
+            values.currency = amount[1];
+            values.amountDue = amount[2];
+        }
+        values.paymentReference = lines[9] || lines[10];
+    } else if (lines[0] === "SPC" && lines.length >= 29) {
+        type = "swissqr";
+        values.iban = lines[3];
+        values.supplierName = lines[5];
+        values.amountDue = lines[18];
+        values.currency = lines[19];
+        values.paymentReference = lines[27] !== "NON" ? lines[28] : lines[29];
+    } else {
+        return null;
+    }
+    
+    var result = { type: type, values: {} };
+    for (var key in values) {
+        if (values[key]) {
+            result.values[key] = normalizeExtractedValue(values[key].trim(), PAYMENT_CODE_FIELD_TYPES[key]);
+        }
+    }
+    return result;
+}
+
+// Value types of the payment code fields for normalizeExtractedValue
+var PAYMENT_CODE_FIELD_TYPES = {
+    iban: "iban",
+    amountDue: "decimal",
+    currency: "text",
+    supplierName: "text",
+    paymentReference: "text"
+};
+
+/**
+ * @param {File} pdfFile - The PDF file
+ * @return {Object} - Batch file, hash, part number, part count and page range if the PDF is a split part, otherwise null
+ */
+function readBatchInfo(pdfFile) {
+    var document = null;
+    try {
+        document = org.apache.pdfbox.pdmodel.PDDocument.load(pdfFile);
+        return getBatchInfo(document);
+    } catch (e) {
+        logger.warn("Could not read document information of: " + pdfFile.getName(), e);
+        return null;
+    } finally {
+        if (document) {
+            document.close();
+        }
+    }
+}
+
+/**
+ * @param {PDDocument} document - A loaded PDF
+ * @return {Object} - Batch information written by splitBatchFile or null
+ */
+function getBatchInfo(document) {
+    var info = document.getDocumentInformation();
+    if (!info.getCustomMetadataValue(BATCH_INFO_KEYS.file)) {
+        return null;
+    }
+    
+    var batch = {};
+    for (var key in BATCH_INFO_KEYS) {
+        batch[key] = String(info.getCustomMetadataValue(BATCH_INFO_KEYS[key]) || "");
+    }
+    return batch;
+}
+
+/**
+ * Write the batch file, its hash, the part number and page range into map fields of the imported part
+ * @param {String} sordId - The Sord ID of the part
+ * @param {Object} context - The import context
+ */
+function storeBatchInfo(sordId, context) {
+    var prefix = context.hotfolder.SPLITTING.mapFieldPrefix || "BATCH_";
+    var values = {};
+    
+    values[prefix + "FILE"] = context.batch.file;
+    values[prefix + "HASH"] = context.batch.hash;
+    values[prefix + "PART"] = context.batch.part + "/" + context.batch.parts;
+    values[prefix + "PAGES"] = context.batch.pages;
+    writeSordMapFields(sordId, values);
+}
+
+// Default action of each structural PDF check: "reject" fails the file, "warn" only logs the finding
+var PDF_VALIDATION_DEFAULTS = {
+    trailer: "reject",
+    structure: "reject",
+    passwordProtected: "reject",
+    encrypted: "warn",
+    activeContent: "reject"
+};
+
+// Action types that run code or leave the document when the PDF is opened or clicked
+var ACTIVE_ACTION_TYPES = ["JavaScript", "Launch", "SubmitForm", "ImportData", "RichMediaExecute"];
+
+/**
+ * Check the trailer and cross-reference table, parse the document and look for encryption and active content
+ * @param {File} pdfFile - The PDF file
+ * @param {Number} fileSize - Size of the file in bytes
+ * @return {Object} - Import error of the first rejected check or null
+ */
+function checkPDFIntegrity(pdfFile, fileSize) {
+    var findings = [];
+    
+    var tail = readFileBytes(pdfFile, Math.max(0, fileSize - 2048), 2048);
+    var eofIndex = tail ? tail.lastIndexOf("%%EOF") : -1;
+    var startxref = eofIndex !== -1 ? /startxref\s+(\d+)\s*$/.exec(tail.substring(0, eofIndex)) : null;
+    if (eofIndex === -1) {
+        findings.push({ check: "trailer", code: "PDF_TRUNCATED", message: "PDF is truncated, %%EOF marker is missing" });
+    } else if (!startxref) {
+        findings.push({ check: "trailer", code: "PDF_CORRUPT", message: "PDF trailer has no startxref entry" });
+    } else if (!isCrossReferenceAt(pdfFile, parseInt(startxref[1], 10), fileSize)) {
+        findings.push({ check: "trailer", code: "PDF_CORRUPT", message: "startxref points to offset " + startxref[1] + ", where no cross-reference table starts" });
+    }
+    
+    var document = null;
+    try {
+        document = org.apache.pdfbox.pdmodel.PDDocument.load(pdfFile);
+        
+        if (document.getNumberOfPages() === 0) {
+            findings.push({ check: "structure", code: "PDF_CORRUPT", message: "PDF has no pages" });
+        }
+        if (document.isEncrypted()) {
+            findings.push({ check: "encrypted", code: "PDF_ENCRYPTED", message: "PDF is encrypted (permissions password)" });
+        }
+        
+        var activeContent = findActiveContent(document);
+        if (activeContent) {
+            findings.push({ check: "activeContent", code: "PDF_ACTIVE_CONTENT", message: "PDF contains active content: " + activeContent });
+        }
+    } catch (e) {
+        if (e.javaException instanceof org.apache.pdfbox.pdmodel.encryption.InvalidPasswordException) {
+            findings.push({ check: "passwordProtected", code: "PDF_ENCRYPTED", message: "PDF is password protected" });
+        } else {
+            findings.push({ check: "structure", code: "PDF_CORRUPT", message: "PDF cannot be parsed: " + e.message, cause: e });
+        }
+    } finally {
+        if (document) {
+            document.close();
+        }
+    }
+    
+    var checks = CONFIG.PDF_VALIDATION.checks || {};
+    for (var i = 0; i < findings.length; i++) {
+        var finding = findings[i];
+        var action = checks[finding.check] || PDF_VALIDATION_DEFAULTS[finding.check];
+        if (action === "reject") {
+            logger.warn(finding.message + " [" + finding.check + "]: " + pdfFile.getName());
+            return createImportError(finding.code, finding.message, finding.cause);
+        }
+        if (action === "warn") {
+            logger.warn(finding.message + " [" + finding.check + ", importing anyway]: " + pdfFile.getName());
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a range of a file as ISO-8859-1 text
+ * @param {File} file - The file
+ * @param {Number} offset - Position of the first byte
+ * @param {Number} length - Maximum number of bytes
+ * @return {String} - The bytes read, or null if the file could not be read
+ */
+function readFileBytes(file, offset, length) {
+    var raf = null;
+    try {
+        raf = new java.io.RandomAccessFile(file, "r");
+        var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, length);
+        raf.seek(offset);
+        var bytesRead = raf.read(buffer);
+        return bytesRead > 0 ? String(new java.lang.String(buffer, 0, bytesRead, "ISO-8859-1")) : "";
+    } catch (e) {
+        logger.debug("Could not read " + file.getName() + " at offset " + offset + ": " + e.message);
+        return null;
+    } finally {
+        if (raf) {
+            raf.close();
+        }
+    }
+}
+
+/**
+ * @param {File} pdfFile - The PDF file
+ * @param {Number} offset - Offset from the startxref entry
+ * @param {Number} fileSize - Size of the file in bytes
+ * @return {Boolean} - true if a cross-reference table or stream object starts at the offset
+ */
+function isCrossReferenceAt(pdfFile, offset, fileSize) {
+    if (offset >= fileSize) {
+        return false;
+    }
+    var start = readFileBytes(pdfFile, offset, 32);
+    return start !== null && /^\s*(xref|\d+\s+\d+\s+obj)/.test(start);
+}
+
+/**
+ * Look for JavaScript and actions from ACTIVE_ACTION_TYPES in the catalog, on pages and in annotations
+ * @param {PDDocument} document - The loaded PDF
+ * @return {String} - Description of the first active content found or null
+ */
+function findActiveContent(document) {
+    var catalog = document.getDocumentCatalog();
+    if (catalog.getNames() && catalog.getNames().getJavaScript()) {
+        return "document-level JavaScript";
+    }
+    
+    var catalogDict = catalog.getCOSObject();
+    var found = findActiveAction(catalogDict.getDictionaryObject("OpenAction"), 0) ||
+        findAdditionalAction(catalogDict.getDictionaryObject("AA"));
+    if (found) {
+        return found + " action in the document catalog";
+    }
+    
+    for (var i = 0; i < document.getNumberOfPages(); i++) {
+        var page = document.getPage(i);
+        found = findAdditionalAction(page.getCOSObject().getDictionaryObject("AA"));
+        
+        var annotations = page.getAnnotations();
+        for (var j = 0; !found && j < annotations.size(); j++) {
+            var annotationDict = annotations.get(j).getCOSObject();
+            found = findActiveAction(annotationDict.getDictionaryObject("A"), 0) ||
+                findAdditionalAction(annotationDict.getDictionaryObject("AA"));
+        }
+        
+        if (found) {
+            return found + " action on page " + (i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {COSBase} additionalActions - Additional-actions dictionary (AA), keyed by trigger event
+ * @return {String} - Type of the first active action or null
+ */
+function findAdditionalAction(additionalActions) {
+    if (!(additionalActions instanceof org.apache.pdfbox.cos.COSDictionary)) {
+        return null;
+    }
+    
+    var events = additionalActions.keySet().toArray();
+    for (var i = 0; i < events.length; i++) {
+        var found = findActiveAction(additionalActions.getDictionaryObject(events[i]), 0);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {COSBase} action - Action dictionary, its Next entries are followed
+ * @param {Number} depth - Nesting depth, limits cyclic Next chains
+ * @return {String} - Type of the first active action or null
+ */
+function findActiveAction(action, depth) {
+    if (!(action instanceof org.apache.pdfbox.cos.COSDictionary) || depth > 10) {
+        return null;
+    }
+    
+    var type = action.getNameAsString("S");
+    if (type && ACTIVE_ACTION_TYPES.indexOf(String(type)) !== -1) {
+        return String(type);
+    }
+    
+    var next = action.getDictionaryObject("Next");
+    if (next instanceof org.apache.pdfbox.cos.COSArray) {
+        for (var i = 0; i < next.size(); i++) {
+            var found = findActiveAction(next.getObject(i), depth + 1);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+    return findActiveAction(next, depth + 1);
+}
+
+/**
+ * Check the root element of an XML file for a CII or UBL invoice
+ * @param {File} xmlFile - The XML file
+ * @return {boolean} - true if the file is an e-invoice and e-invoice import is enabled
+ */
+function isEInvoiceXmlFile(xmlFile) {
+    if (!CONFIG.E_INVOICE.enabled || !CONFIG.E_INVOICE.importXmlFiles) {
+        return false;
+    }
+    
+    var reader = new java.io.InputStreamReader(new java.io.FileInputStream(xmlFile), "UTF-8");
+    try {
+        var buffer = java.lang.reflect.Array.newInstance(java.lang.Character.TYPE, 4096);
+        var charsRead = reader.read(buffer);
+        var head = charsRead > 0 ? String(new java.lang.String(buffer, 0, charsRead)) : "";
+        // Skip the XML declaration, comments and processing instructions before the root element
+        return /^(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->)*<(?:[\w.-]+:)?(CrossIndustryInvoice|Invoice|CreditNote)[\s>\/]/.test(head.replace(/^\uFEFF/, ""));
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Get list of valid PDF files from a hotfolder's source directory
+ * @param {Object} hotfolder - The hotfolder
+ * @return {Array} - Array of validated File objects
+ */
+function getValidPDFFiles(hotfolder) {
+    var validFiles = [];
+    var dirPath = hotfolder.SOURCE_DIR;
+    
+    try {
+        var dir = new java.io.File(dirPath);
+        
+        if (!dir.exists() || !dir.isDirectory()) {
+            logger.warn("Source directory does not exist: " + dirPath);
+            return validFiles;
+        }
+        
+        var files = [];
+        collectFiles(dir, files, hotfolder.INCLUDE_SUBDIRECTORIES);
+        var unfinishedFiles = getUnfinishedJournalFiles();
+        
+        for (var i = 0; i < files.length; i++) {
+            var file = files[i];
+            if (isTemporaryFile(file) || isSidecarFile(file) || isCompanionFile(file) || isMailFile(file, hotfolder)) {
+                continue;
+            }
+            if (unfinishedFiles[String(file.getAbsolutePath())]) {
+                logger.warn("Skipping " + file.getName() + ", its import is unfinished (journal state " + unfinishedFiles[String(file.getAbsolutePath())] + ")");
+                continue;
+            }
+            if (!isFileReady(file)) {
+                continue;
+            }
+            var validationError = getValidationError(file, hotfolder);
+            if (!validationError) {
+                validFiles.push(file);
+            } else if (validationError.category && CONFIG.ERROR_HANDLING.quarantineInvalidFiles) {
+                moveFileToErrorDir(file, hotfolder, validationError, { attempts: 0 });
+            }
+        }
+        
+        logger.debug("Found " + validFiles.length + " valid files out of " + files.length + " total files");
+        
+    } catch (e) {
+        logger.error("Error reading files from directory: " + dirPath, e);
+    }
+    
+    return validFiles;
+}
+
+/**
+ * Check that a file is completely written
+ * A file is ready when its size and modification time have not changed for the settle window
+ * and no other process holds a lock on it. With a settle window, a file is never ready on the
+ * poll that first sees it, because copies may keep the original modification time.
+ * @param {File} file - The file
+ * @return {boolean} - true if the file can be imported
+ */
+function isFileReady(file) {
+    var stability = CONFIG.FILE_STABILITY;
+    var settleMs = (stability.settleSeconds || 0) * 1000;
+    var path = String(file.getAbsolutePath());
+    var size = file.length();
+    var modified = file.lastModified();
+    var now = new Date().getTime();
+    var observation = fileObservations[path];
+    
+    if (!observation || observation.size !== size || observation.modified !== modified) {
+        fileObservations[path] = { size: size, modified: modified, since: now };
+        if (settleMs > 0) {
+            logger.debug("File is new or still changing, waiting " + stability.settleSeconds + "s: " + file.getName());
+            return false;
+        }
+    } else if (now - observation.since < settleMs) {
+        logger.debug("File not yet settled: " + file.getName());
+        return false;
+    }
+    
+    if (stability.lockCheck !== false) {
+        observation = fileObservations[path];
+        if (!canLockFile(file)) {
+            observation.lockedSince = observation.lockedSince || now;
+            if (!observation.lockWarned && now - observation.lockedSince >= LOCK_WARNING_MINUTES * 60 * 1000) {
+                logger.warn("File has been locked by another process for more than " + LOCK_WARNING_MINUTES + " minutes: " + file.getAbsolutePath());
+                observation.lockWarned = true;
+            } else {
+                logger.debug("File is locked by another process: " + file.getName());
+            }
+            return false;
+        }
+        observation.lockedSince = null;
+        observation.lockWarned = false;
+    }
+    
+    return true;
+}
+
+/**
+ * Probe for a shared lock; fails while a scanner or copy process still has the file open for writing
+ * The file is only opened for reading, so read-only files pass and a file that vanished is not recreated.
+ * @param {File} file - The file
+ * @return {boolean} - true if a shared lock could be acquired
+ */
+function canLockFile(file) {
+    var inputStream = null;
+    
+    try {
+        inputStream = new java.io.FileInputStream(file);
+        var lock = inputStream.getChannel().tryLock(0, java.lang.Long.MAX_VALUE, true);
+        if (!lock) {
+            return false;
+        }
+        lock.release();
+        return true;
+    } catch (e) {
+        return false;
+    } finally {
+        if (inputStream) {
+            inputStream.close();
+        }
+    }
+}
+
+/**
+ * Files written under a temporary name and renamed when complete are ignored until the rename
+ * @param {File} file - The file
+ * @return {boolean} - true if the file has a temporary extension
+ */
+function isTemporaryFile(file) {
+    var fileName = String(file.getName()).toLowerCase();
+    var extensions = CONFIG.FILE_STABILITY.temporaryExtensions || [];
+    
+    for (var i = 0; i < extensions.length; i++) {
+        if (fileName.endsWith(extensions[i].toLowerCase())) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Forget stability observations of files that no longer exist
+ */
+function pruneFileObservations() {
+    for (var path in fileObservations) {
+        if (!new java.io.File(path).exists()) {
+            delete fileObservations[path];
+        }
+    }
+}
+
+/**
+ * Collect the files of a directory, optionally including subdirectories
+ * The target directories and other hotfolders' source directories are never scanned.
+ * @param {File} dir - Directory to scan
+ * @param {Array} files - Receives the found File objects
+ * @param {boolean} recursive - true to descend into subdirectories
+ */
+function collectFiles(dir, files, recursive) {
+    var entries = dir.listFiles();
+    
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        if (entry.isFile()) {
+            files.push(entry);
+        } else if (recursive && entry.isDirectory() && !isServiceDirectory(entry)) {
+            collectFiles(entry, files, recursive);
         }
+    }
+}
+
+/**
+ * @param {File} dir - A directory
+ * @return {boolean} - true if the directory is a source or target directory of any hotfolder
+ */
+function isServiceDirectory(dir) {
+    var path = String(dir.getCanonicalPath());
+    
+    for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+        var hotfolder = CONFIG.HOTFOLDERS[h];
+        var serviceDirs = [hotfolder.SOURCE_DIR, hotfolder.PROCESSED_DIR, hotfolder.ERROR_DIR, hotfolder.DUPLICATES_DIR];
         
-        // Get parent folder ID
-        var parentId = getOrCreateArchiveFolder();
+        for (var i = 0; i < serviceDirs.length; i++) {
+            if (path === String(new java.io.File(serviceDirs[i]).getCanonicalPath())) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Validate ELO connection
+ * @return {boolean} - Connection status
+ */
+function validateELOConnection() {
+    var failure = testELOConnection();
+    updateConnectionState(failure === null, failure);
+    return failure === null;
+}
+
+/**
+ * Test the ELO connection with a simple operation, without touching the connection state and its notifications
+ * @return {String} - Why the connection failed, null if it works
+ */
+function testELOConnection() {
+    try {
+        var serverInfo = ixConnect.ix().getServerInfo();
+        if (serverInfo) {
+            logger.debug("ELO connection validated. Server: " + serverInfo.name);
+            return null;
+        }
+        logger.error("ELO connection test failed - no server info");
+        return "no server info";
+    } catch (e) {
+        logger.error("ELO connection validation failed", e);
+        return String(e.message);
+    }
+}
+
+/**
+ * Set custom metadata based on file properties and extracted invoice data
+ * @param {Sord} sord - The Sord object
+ * @param {File} pdfFile - The PDF file
+ * @param {Object} context - The import context
+ */
+function setCustomMetadata(sord, pdfFile, context) {
+    try {
+        var metadata = context.metadata;
+        var fields = CONFIG.METADATA_EXTRACTION.fields || {};
+        var fieldCount = 0;
+        
+        for (var key in metadata) {
+            var indexField = getIndexFieldName(key, context.hotfolder);
+            if (indexField && setIndexValue(sord, indexField, metadata[key])) {
+                fieldCount++;
+            }
+        }
+        
+        // Store the content hash so later imports of the same file can be detected
+        if (CONFIG.DUPLICATE_CHECK.enabled && CONFIG.DUPLICATE_CHECK.hashField) {
+            setIndexValue(sord, CONFIG.DUPLICATE_CHECK.hashField, context.hash);
+        }
+        
+        if (context.duplicateOf && CONFIG.DUPLICATE_CHECK.flagField) {
+            setIndexValue(sord, CONFIG.DUPLICATE_CHECK.flagField, context.duplicateOf);
+        }
+        
+        // Sidecar values that have no extraction rule are written directly
+        for (var fieldName in context.sidecarValues) {
+            if (setIndexValue(sord, fieldName, context.sidecarValues[fieldName])) {
+                fieldCount++;
+            }
+        }
+        
+        logger.debug("Custom metadata set for: " + pdfFile.getName() + " (" + fieldCount + " index fields)");
+        
+    } catch (e) {
+        logger.warn("Failed to set custom metadata", e);
+        throw e;
+    }
+}
+
+/**
+ * Extract invoice header fields from the PDF text layer using the configured regex rules
+ * @param {File} pdfFile - The PDF file
+ * @param {String} text - Text layer of the PDF
+ * @return {Object} - Map of field key to normalized value
+ */
+function extractInvoiceMetadata(pdfFile, text) {
+    var metadata = {};
+    
+    if (!text) {
+        logger.info("No text layer found, skipping metadata extraction for: " + pdfFile.getName());
+        return metadata;
+    }
+    
+    var fields = CONFIG.METADATA_EXTRACTION.fields || {};
+    
+    for (var key in fields) {
+        var rule = fields[key];
+        var rawValue = matchFirstPattern(text, rule.patterns || [], rule.flags || "im");
+        
+        if (rawValue === null) {
+            if (rule["default"]) {
+                metadata[key] = rule["default"];
+            }
+            continue;
+        }
+        
+        var value = normalizeExtractedValue(rawValue, rule.type);
+        if (value !== null) {
+            metadata[key] = value;
+            logger.debug("Extracted " + key + " = " + value + " from: " + pdfFile.getName());
+        } else {
+            logger.warn("Could not normalize " + key + " value '" + rawValue + "' in: " + pdfFile.getName());
+        }
+    }
+    
+    return metadata;
+}
+
+/**
+ * Read the text layer of a PDF file
+ * @param {File} pdfFile - The PDF file
+ * @param {Number} maxPages - Number of pages to read, 0 for all pages
+ * @return {String} - Extracted text (empty if the PDF has no text layer)
+ */
+function extractPDFText(pdfFile, maxPages) {
+    var document = null;
+    
+    try {
+        document = org.apache.pdfbox.pdmodel.PDDocument.load(pdfFile);
+        var stripper = new org.apache.pdfbox.text.PDFTextStripper();
+        var pageCount = document.getNumberOfPages();
+        
+        stripper.setStartPage(1);
+        stripper.setEndPage(maxPages > 0 ? Math.min(maxPages, pageCount) : pageCount);
+        
+        return String(stripper.getText(document)).trim();
+        
+    } catch (e) {
+        logger.warn("Could not read text layer of: " + pdfFile.getName(), e);
+        return "";
+    } finally {
+        if (document) {
+            document.close();
+        }
+    }
+}
+
+/**
+ * Return the first capture group of the first matching pattern
+ * @param {String} text - Text to search
+ * @param {Array} patterns - Regular expressions as strings
+ * @param {String} flags - RegExp flags
+ * @return {String} - Matched value or null
+ */
+function matchFirstPattern(text, patterns, flags) {
+    for (var i = 0; i < patterns.length; i++) {
+        try {
+            var match = new RegExp(patterns[i], flags).exec(text);
+            if (match) {
+                return (match.length > 1 && match[1] !== undefined ? match[1] : match[0]).trim();
+            }
+        } catch (e) {
+            logger.warn("Invalid extraction pattern: " + patterns[i], e);
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalize an extracted raw value to the format expected by ELO index fields
+ * @param {String} rawValue - The raw matched text
+ * @param {String} type - Field type: text, date, amount, decimal (machine-readable amount) or iban
+ * @return {String} - Normalized value or null if it cannot be parsed
+ */
+function normalizeExtractedValue(rawValue, type) {
+    switch (type) {
+        case "date":
+            return normalizeDate(rawValue);
+        case "amount":
+            return normalizeAmount(rawValue);
+        case "decimal":
+            return normalizeDecimal(rawValue.trim());
+        case "iban":
+            return rawValue.replace(/\s+/g, "").toUpperCase();
+        default:
+            return rawValue.replace(/\s+/g, " ");
+    }
+}
+
+/**
+ * Convert dd.MM.yyyy, dd/MM/yyyy, yyyy-MM-dd or yyyyMMdd dates to the ELO ISO format yyyyMMdd
+ * @param {String} value - Date text
+ * @return {String} - ISO date or null
+ */
+function normalizeDate(value) {
+    if (/^\d{8}$/.test(value)) {
+        return value;
+    }
+    
+    var match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value);
+    if (match) {
+        return match[1] + padNumber(match[2]) + padNumber(match[3]);
+    }
+    
+    match = /^(\d{1,2})[.\/](\d{1,2})[.\/](\d{2,4})/.exec(value);
+    if (match) {
+        var year = match[3].length === 2 ? "20" + match[3] : match[3];
+        return year + padNumber(match[2]) + padNumber(match[1]);
+    }
+    
+    return null;
+}
+
+/**
+ * Convert German (1.234,56) or English (1,234.56) amounts to ELO number format
+ * An amount with a single kind of separator in groups of three digits, e.g. 1.234 or 1,234,567,
+ * has thousands separators only.
+ * @param {String} value - Amount text
+ * @return {String} - Amount with two decimals and the configured decimal separator, or null
+ */
+function normalizeAmount(value) {
+    var cleaned = value.replace(/[^0-9,.\-]/g, "");
+    var lastComma = cleaned.lastIndexOf(",");
+    var lastDot = cleaned.lastIndexOf(".");
+    
+    if (/^-?[1-9]\d{0,2}(\.\d{3})+$/.test(cleaned) || /^-?[1-9]\d{0,2}(,\d{3})+$/.test(cleaned)) {
+        cleaned = cleaned.replace(/[,.]/g, "");
+    } else if (lastComma > lastDot) {
+        cleaned = cleaned.replace(/\./g, "").replace(",", ".");
+    } else {
+        cleaned = cleaned.replace(/,/g, "");
+    }
+    
+    return normalizeDecimal(cleaned);
+}
+
+/**
+ * Convert a machine-readable amount with a dot as decimal separator, e.g. an xs:decimal of an e-invoice
+ * or the amount of a payment code, to ELO number format. 119.000 is 119, not 119000.
+ * @param {String} value - Amount text
+ * @return {String} - Amount with two decimals and the configured decimal separator, or null
+ */
+function normalizeDecimal(value) {
+    var amount = parseFloat(value);
+    if (isNaN(amount)) {
+        return null;
+    }
+    
+    return amount.toFixed(2).replace(".", CONFIG.METADATA_EXTRACTION.decimalSeparator || ",");
+}
+
+function padNumber(value) {
+    return ("0" + value).slice(-2);
+}
+
+/**
+ * Index field for a metadata key, from the extraction rules or the e-invoice field list
+ * @param {String} key - Metadata key, e.g. invoiceNumber
+ * @param {Object} hotfolder - Optional hotfolder, whose own mailbox may map the mail fields
+ * @return {String} - Index field group name or null
+ */
+function getIndexFieldName(key, hotfolder) {
+    var fields = CONFIG.METADATA_EXTRACTION.fields || {};
+    if (fields[key] && fields[key].indexField) {
+        return fields[key].indexField;
+    }
+    
+    var eInvoiceFields = CONFIG.E_INVOICE.indexFields || {};
+    var barcodeFields = CONFIG.BARCODES.indexFields || {};
+    var supplierFields = CONFIG.SUPPLIER_LOOKUP.indexFields || {};
+    var mailFields = (hotfolder && hotfolder.MAILBOX.indexFields) || CONFIG.MAILBOX.indexFields || {};
+    return eInvoiceFields[key] || barcodeFields[key] || supplierFields[key] || mailFields[key] || null;
+}
+
+/**
+ * Write a value into the index field with the given group name
+ * @param {Sord} sord - The Sord object
+ * @param {String} fieldName - Index field group name on the mask
+ * @param {String} value - The value to store
+ * @return {boolean} - true if the field exists on the mask
+ */
+function setIndexValue(sord, fieldName, value) {
+    var objKeys = sord.objKeys || [];
+    
+    for (var i = 0; i < objKeys.length; i++) {
+        if (String(objKeys[i].name) === fieldName) {
+            objKeys[i].data = [String(value)];
+            return true;
+        }
+    }
+    
+    logger.warn("Index field not found on mask: " + fieldName);
+    return false;
+}
+
+/**
+ * Read file in chunks for better memory management
+ * @param {File} file - The file to read
+ * @return {byte[]} - File data
+ */
+function readFileInChunks(file) {
+    try {
+        return fileUtils.readFileToByteArray(file.getAbsolutePath());
+    } catch (e) {
+        logger.error("Error reading file: " + file.getName(), e);
+        return null;
+    }
+}
+
+/**
+ * Log performance and processing statistics
+ */
+function logStatistics() {
+    var uptime = new Date() - stats.startTime;
+    var uptimeHours = Math.round(uptime / (1000 * 60 * 60) * 100) / 100;
+    
+    logger.info("=== PDFImportService Statistics ===");
+    logger.info("Uptime: " + uptimeHours + " hours");
+    logger.info("Total processed: " + stats.totalProcessed);
+    logger.info("Total errors: " + stats.totalErrors);
+    logger.info("Success rate: " + Math.round((stats.totalProcessed / (stats.totalProcessed + stats.totalErrors)) * 100) + "%");
+    logger.info("Last run: " + (stats.lastRun ? stats.lastRun.toISOString() : "Never"));
+    for (var name in stats.hotfolders) {
+        var hotfolderStats = stats.hotfolders[name];
+        logger.info("Hotfolder " + name + ": processed " + hotfolderStats.totalProcessed + ", errors " + hotfolderStats.totalErrors +
+            ", last run " + (hotfolderStats.lastRun ? hotfolderStats.lastRun.toISOString() : "Never"));
+    }
+    logger.info("===================================");
+}
+
+// Notification functions
+
+/**
+ * Remember a successful import for the daily summary
+ * @param {Object} context - The import context
+ * @param {String} sordId - ID of the new document
+ * @param {String} workflowId - ID of the started workflow, null if none was started
+ */
+function recordImport(context, sordId, workflowId) {
+    if (!CONFIG.NOTIFICATIONS.enabled || !CONFIG.NOTIFICATIONS.dailySummary || !CONFIG.NOTIFICATIONS.dailySummary.enabled) {
+        return;
+    }
+    
+    notificationState.imports.push({
+        at: new Date(),
+        hotfolder: context.hotfolder.NAME,
+        fileName: String(context.file.getName()),
+        sordId: String(sordId),
+        sordName: context.sordName || "",
+        workflow: workflowId ? context.route.workflowTemplate + " (" + workflowId + ")" : ""
+    });
+}
+
+/**
+ * Remember a failure for the daily summary and alert the hotfolder's recipients
+ * when the number of failures within the configured window reaches the threshold
+ * @param {Object} hotfolder - The hotfolder
+ * @param {File} file - The failed file
+ * @param {Error} error - Classified import error
+ */
+function recordFailure(hotfolder, file, error) {
+    var notifications = CONFIG.NOTIFICATIONS;
+    if (!notifications.enabled) {
+        return;
+    }
+    
+    var now = new Date().getTime();
+    
+    if (notifications.dailySummary && notifications.dailySummary.enabled) {
+        notificationState.failures.push({
+            at: new Date(now),
+            hotfolder: hotfolder.NAME,
+            fileName: String(file.getName()),
+            code: error.code,
+            message: String(error.message)
+        });
+    }
+    
+    var threshold = notifications.errorThreshold;
+    if (!threshold || !threshold.count) {
+        return;
+    }
+    
+    // Keep only the failures within the window, one alert per window
+    var windowMs = (threshold.windowMinutes || 60) * 60 * 1000;
+    var errorTimes = (notificationState.errorTimes[hotfolder.NAME] || []).filter(function (time) {
+        return now - time < windowMs;
+    });
+    errorTimes.push(now);
+    notificationState.errorTimes[hotfolder.NAME] = errorTimes;
+    
+    var lastAlert = notificationState.lastAlert[hotfolder.NAME] || 0;
+    if (errorTimes.length >= threshold.count && now - lastAlert >= windowMs) {
+        notificationState.lastAlert[hotfolder.NAME] = now;
+        sendMail(hotfolder.NOTIFICATION_RECIPIENTS,
+            "PDF import: " + errorTimes.length + " errors in hotfolder " + hotfolder.NAME,
+            "<p>" + errorTimes.length + " files of hotfolder <b>" + escapeHtml(hotfolder.NAME) + "</b> failed within the last " +
+            (threshold.windowMinutes || 60) + " minutes.</p>" +
+            "<p>Last error: " + escapeHtml(file.getName()) + " [" + escapeHtml(error.code) + "] " + escapeHtml(error.message) + "</p>" +
+            "<p>Quarantined files and error reports: " + escapeHtml(hotfolder.ERROR_DIR) + "</p>");
+    }
+}
+
+/**
+ * Send a notification when the ELO connection is lost and when it is restored
+ * @param {boolean} connected - Result of the connection check
+ * @param {String} reason - Failure reason if the connection is down
+ */
+function updateConnectionState(connected, reason) {
+    var changed = connected === notificationState.connectionLost;
+    notificationState.connectionLost = !connected;
+    
+    if (!changed || !CONFIG.NOTIFICATIONS.enabled || !CONFIG.NOTIFICATIONS.connectionLoss) {
+        return;
+    }
+    
+    var recipients = CONFIG.NOTIFICATIONS.recipients || [];
+    
+    if (connected) {
+        sendMail(recipients, "PDF import: ELO connection restored",
+            "<p>The connection to ELO is available again at " + escapeHtml(new Date().toISOString()) + ", imports continue.</p>");
+    } else {
+        sendMail(recipients, "PDF import: ELO connection lost",
+            "<p>The connection to ELO failed at " + escapeHtml(new Date().toISOString()) + ": " + escapeHtml(reason) + "</p>" +
+            "<p>No files are imported until the connection is restored.</p>");
+    }
+}
+
+/**
+ * Send the daily summary once the configured time of day has passed
+ * Hotfolders with the same recipients share one mail. The summary covers the time since the
+ * previous summary; the first check after a start past the summary time only starts the period.
+ */
+function sendDailySummaryIfDue() {
+    var summary = CONFIG.NOTIFICATIONS.dailySummary;
+    if (!CONFIG.NOTIFICATIONS.enabled || !summary || !summary.enabled) {
+        return;
+    }
+    
+    var now = new Date();
+    var today = now.getFullYear() + "-" + padNumber(now.getMonth() + 1) + "-" + padNumber(now.getDate());
+    var time = (summary.time || "07:00").split(":");
+    var due = now.getHours() * 60 + now.getMinutes() >= parseInt(time[0], 10) * 60 + parseInt(time[1] || "0", 10);
+    
+    if (!due || notificationState.lastSummaryDate === today) {
+        return;
+    }
+    if (notificationState.lastSummaryDate === null && notificationState.imports.length + notificationState.failures.length === 0) {
+        notificationState.lastSummaryDate = today;
+        return;
+    }
+    
+    // Group the hotfolders by their recipients
+    var groups = {};
+    for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+        var hotfolder = CONFIG.HOTFOLDERS[h];
+        var key = hotfolder.NOTIFICATION_RECIPIENTS.slice().sort().join(",");
+        if (key) {
+            groups[key] = groups[key] || { recipients: hotfolder.NOTIFICATION_RECIPIENTS, names: [] };
+            groups[key].names.push(hotfolder.NAME);
+        }
+    }
+    
+    for (var groupKey in groups) {
+        var group = groups[groupKey];
+        var inGroup = function (record) {
+            return group.names.indexOf(record.hotfolder) !== -1;
+        };
+        var imports = notificationState.imports.filter(inGroup);
+        var failures = notificationState.failures.filter(inGroup);
+        var attachments = [];
+        
+        if (summary.attachCsv !== false) {
+            attachments.push({ name: "pdf-import-" + today + ".csv", content: createSummaryCsv(imports, failures), type: "csv" });
+        }
+        sendMail(group.recipients,
+            "PDF import summary " + today + ": " + imports.length + " imported, " + failures.length + " failed",
+            createSummaryHtml(group.names, imports, failures),
+            attachments);
+    }
+    
+    notificationState.lastSummaryDate = today;
+    notificationState.summarySince = now;
+    notificationState.imports = [];
+    notificationState.failures = [];
+}
+
+/**
+ * @param {Array} hotfolderNames - Hotfolders covered by the summary
+ * @param {Array} imports - Recorded imports
+ * @param {Array} failures - Recorded failures
+ * @return {String} - HTML body of the summary mail
+ */
+function createSummaryHtml(hotfolderNames, imports, failures) {
+    var html = "<h2>PDF import summary</h2>" +
+        "<p>Hotfolders: " + escapeHtml(hotfolderNames.join(", ")) + "<br>Period: " +
+        escapeHtml(notificationState.summarySince.toISOString()) + " - " + escapeHtml(new Date().toISOString()) + "</p>" +
+        "<h3>Imported documents (" + imports.length + ")</h3>" +
+        "<table border=\"1\" cellpadding=\"4\" cellspacing=\"0\"><tr><th>Time</th><th>Hotfolder</th><th>File</th><th>Document</th><th>Sord ID</th><th>Workflow</th></tr>";
+    
+    for (var i = 0; i < imports.length; i++) {
+        var record = imports[i];
+        html += "<tr><td>" + [record.at.toISOString(), record.hotfolder, record.fileName, record.sordName, record.sordId, record.workflow].map(escapeHtml).join("</td><td>") + "</td></tr>";
+    }
+    
+    html += "</table><h3>Failures (" + failures.length + ")</h3>" +
+        "<table border=\"1\" cellpadding=\"4\" cellspacing=\"0\"><tr><th>Time</th><th>Hotfolder</th><th>File</th><th>Error</th><th>Message</th></tr>";
+    
+    for (var j = 0; j < failures.length; j++) {
+        var failure = failures[j];
+        html += "<tr><td>" + [failure.at.toISOString(), failure.hotfolder, failure.fileName, failure.code, failure.message].map(escapeHtml).join("</td><td>") + "</td></tr>";
+    }
+    
+    return html + "</table>";
+}
+
+/**
+ * @param {Array} imports - Recorded imports
+ * @param {Array} failures - Recorded failures
+ * @return {String} - Semicolon separated CSV with one line per import or failure
+ */
+function createSummaryCsv(imports, failures) {
+    var quote = function (value) {
+        return "\"" + String(value === undefined || value === null ? "" : value).replace(/"/g, "\"\"") + "\"";
+    };
+    var lines = ["status;time;hotfolder;file;document;sordId;workflow;error;message"];
+    
+    for (var i = 0; i < imports.length; i++) {
+        var record = imports[i];
+        lines.push(["imported", record.at.toISOString(), record.hotfolder, record.fileName, record.sordName, record.sordId, record.workflow, "", ""].map(quote).join(";"));
+    }
+    for (var j = 0; j < failures.length; j++) {
+        var failure = failures[j];
+        lines.push(["failed", failure.at.toISOString(), failure.hotfolder, failure.fileName, "", "", "", failure.code, failure.message].map(quote).join(";"));
+    }
+    
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Send an HTML mail through the configured SMTP server
+ * Failures are logged only, a notification must never stop the import.
+ * @param {Array} recipients - Mail addresses
+ * @param {String} subject - Subject
+ * @param {String} html - HTML body
+ * @param {Array} attachments - Optional text attachments { name, content, type }
+ */
+function sendMail(recipients, subject, html, attachments) {
+    if (!recipients || recipients.length === 0) {
+        logger.warn("No recipients for notification: " + subject);
+        return;
+    }
+    
+    var smtp = CONFIG.NOTIFICATIONS.smtp || {};
+    
+    try {
+        var properties = new java.util.Properties();
+        properties.put("mail.smtp.host", smtp.host || "localhost");
+        properties.put("mail.smtp.port", String(smtp.port || 25));
+        properties.put("mail.smtp.auth", String(!!smtp.username));
+        properties.put("mail.smtp.starttls.enable", String(!!smtp.startTls));
+        properties.put("mail.smtp.connectiontimeout", "10000");
+        properties.put("mail.smtp.timeout", "10000");
         
-        // Create new Sord with enhanced metadata
-        var sord = ixConnect.ix().createSord(parentId, null, EditInfoC.mbSord).sord;
+        var session = javax.mail.Session.getInstance(properties);
+        var message = new javax.mail.internet.MimeMessage(session);
+        message.setFrom(new javax.mail.internet.InternetAddress(smtp.from || "pdfimport@localhost"));
+        message.setRecipients(javax.mail.Message.RecipientType.TO, javax.mail.internet.InternetAddress.parse(recipients.join(",")));
+        message.setSubject(subject, "UTF-8");
+        message.setSentDate(new java.util.Date());
         
-        // Set document name (without extension)
-        var fileName = pdfFile.getName();
-        var docName = fileName.substring(0, fileName.lastIndexOf('.'));
-        sord.name = docName;
+        var multipart = new javax.mail.internet.MimeMultipart();
+        var body = new javax.mail.internet.MimeBodyPart();
+        body.setText(html, "UTF-8", "html");
+        multipart.addBodyPart(body);
         
-        // Set metadata mask
-        var maskId = getMaskId(CONFIG.METADATA_MASK);
-        if (maskId) {
-            sord.mask = maskId;
+        for (var i = 0; attachments && i < attachments.length; i++) {
+            var part = new javax.mail.internet.MimeBodyPart();
+            part.setText(attachments[i].content, "UTF-8", attachments[i].type || "plain");
+            part.setFileName(attachments[i].name);
+            part.setDisposition(javax.mail.Part.ATTACHMENT);
+            multipart.addBodyPart(part);
         }
+        message.setContent(multipart);
         
-        // Set document type and additional metadata
-        sord.type = SordC.LBT_DOCUMENT;
-        sord.desc = "Imported by PDFImportService on " + new Date().toISOString();
-        
-        // Add custom metadata if mask supports it
+        var transport = session.getTransport("smtp");
         try {
-            setCustomMetadata(sord, pdfFile);
-        } catch (metaError) {
-            logger.warn("Failed to set custom metadata, continuing with basic import", metaError);
+            transport.connect(smtp.host || "localhost", smtp.port || 25, smtp.username || null, smtp.password || null);
+            transport.sendMessage(message, message.getAllRecipients());
+        } finally {
+            transport.close();
         }
         
-        // Check in the Sord
-        var editInfo = ixConnect.ix().checkinSord(sord, SordC.mbAll, LockC.NO);
-        var sordId = editInfo.sord.id;
-        
-        // Upload the PDF file with validation
-        var success = uploadPDFFile(sordId, pdfFile);
-        
-        if (success) {
-            return sordId;
-        } else {
-            // Cleanup failed import
-            try {
-                ixConnect.ix().deleteSord(null, sordId, LockC.NO, null);
-            } catch (cleanupError) {
-                logger.warn("Failed to cleanup failed import for Sord ID: " + sordId, cleanupError);
-            }
-            throw new Error("File upload failed");
-        }
+        logger.info("Notification sent to " + recipients.join(", ") + ": " + subject);
         
     } catch (e) {
-        logger.error("Error importing file to ELO: " + pdfFile.getName(), e);
-        throw e;
+        logger.error("Failed to send notification: " + subject, e);
     }
 }
 
 /**
- * Upload PDF file with enhanced error handling
- * @param {String} sordId - The Sord ID
- * @param {File} pdfFile - The PDF file
- * @return {boolean} - Success status
+ * @param {String} value - Text
+ * @return {String} - Text with HTML special characters escaped
  */
-function uploadPDFFile(sordId, pdfFile) {
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Monitoring functions
+
+/**
+ * Add the duration of a processing stage to the statistics
+ * @param {String} stage - Stage name, e.g. scan, analyze, duplicateCheck, import, workflow, move
+ * @param {Number} startTime - Start of the stage in milliseconds
+ */
+function recordStageDuration(stage, startTime) {
+    var duration = new Date().getTime() - startTime;
+    var stageStats = stats.stages[stage] || (stats.stages[stage] = { count: 0, totalMs: 0, lastMs: 0, maxMs: 0 });
+    
+    stageStats.count++;
+    stageStats.totalMs += duration;
+    stageStats.lastMs = duration;
+    stageStats.maxMs = Math.max(stageStats.maxMs, duration);
+}
+
+/**
+ * Count the files waiting in the source directory and the files in the error directory
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} hotfolderStats - Its statistics
+ */
+function updateQueueMetrics(hotfolder, hotfolderStats) {
     try {
-        var docVersion = new DocVersion();
-        docVersion.comment = "Imported by PDFImportService Enhanced on " + new Date().toISOString();
-        docVersion.version = "1.0";
-        docVersion.ext = "pdf";
-        
-        var document = ixConnect.ix().checkinDocBegin(sordId);
-        document.docs[0].version = docVersion;
+        var sourceFiles = [];
+        collectFiles(new java.io.File(hotfolder.SOURCE_DIR), sourceFiles, hotfolder.INCLUDE_SUBDIRECTORIES);
+        hotfolderStats.queueDepth = sourceFiles.filter(function (file) {
+            return !isTemporaryFile(file) && !isSidecarFile(file) && !isCompanionFile(file);
+        }).length;
         
-        // Read file in chunks for large files
-        var fileData = readFileInChunks(pdfFile);
+        var errorFiles = [];
+        collectErrorFiles(new java.io.File(hotfolder.ERROR_DIR), errorFiles);
+        hotfolderStats.errorFiles = errorFiles.length;
         
-        if (!fileData) {
-            throw new Error("Failed to read file data");
+    } catch (e) {
+        logger.warn("Failed to count queued files of hotfolder: " + hotfolder.NAME, e);
+    }
+}
+
+/**
+ * @param {File} dir - The error directory or one of its category subdirectories
+ * @param {Array} files - Receives the quarantined files, without error reports and retry markers
+ */
+function collectErrorFiles(dir, files) {
+    var entries = dir.listFiles() || [];
+    
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].isDirectory()) {
+            collectErrorFiles(entries[i], files);
+        } else if (!/\.(error\.json|retry)$/i.test(String(entries[i].getName())) && !isSidecarFile(entries[i]) && !isCompanionFile(entries[i])) {
+            files.push(entries[i]);
+        }
+    }
+}
+
+/**
+ * Assess the service health
+ * - stalled: no run has finished within stallMinutes (or three intervals, if that is longer)
+ * - degraded: the ELO connection is down, or files are queued but no run succeeded within stallMinutes
+ * @return {Object} - Health, statistics of all hotfolders and stage durations
+ */
+function createStatus() {
+    var now = new Date().getTime();
+    var stallMs = Math.max((CONFIG.MONITORING.stallMinutes || 10) * 60 * 1000, 3 * CONFIG.INTERVAL);
+    var queueDepth = 0;
+    var reasons = [];
+    var health = "ok";
+    
+    for (var name in stats.hotfolders) {
+        queueDepth += stats.hotfolders[name].queueDepth;
+    }
+    
+    if (notificationState.connectionLost) {
+        health = "degraded";
+        reasons.push("ELO connection lost");
+    }
+    if (queueDepth > 0 && now - (stats.lastSuccessfulRun || stats.startTime).getTime() > stallMs) {
+        health = "degraded";
+        reasons.push(queueDepth + " files queued, no successful run since " + (stats.lastSuccessfulRun ? stats.lastSuccessfulRun.toISOString() : "start"));
+    }
+    if (now - (stats.lastRun || stats.startTime).getTime() > stallMs) {
+        health = "stalled";
+        reasons.push("No run since " + (stats.lastRun ? stats.lastRun.toISOString() : "start"));
+    }
+    
+    return {
+        health: health,
+        reasons: reasons,
+        startTime: stats.startTime.toISOString(),
+        uptimeSeconds: Math.round((now - stats.startTime.getTime()) / 1000),
+        lastRun: stats.lastRun ? stats.lastRun.toISOString() : null,
+        lastSuccessfulRun: stats.lastSuccessfulRun ? stats.lastSuccessfulRun.toISOString() : null,
+        lastRunDurationMs: stats.lastRunDuration,
+        eloConnected: !notificationState.connectionLost,
+        totalProcessed: stats.totalProcessed,
+        totalErrors: stats.totalErrors,
+        queueDepth: queueDepth,
+        hotfolders: stats.hotfolders,
+        stages: stats.stages
+    };
+}
+
+/**
+ * @param {Object} status - Result of createStatus()
+ * @return {String} - Counters and gauges in the Prometheus text format
+ */
+function createPrometheusMetrics(status) {
+    var lines = [];
+    var metric = function (name, type, help, samples) {
+        lines.push("# HELP " + name + " " + help);
+        lines.push("# TYPE " + name + " " + type);
+        for (var i = 0; i < samples.length; i++) {
+            lines.push(name + (samples[i].labels || "") + " " + samples[i].value);
+        }
+    };
+    var perHotfolder = function (key) {
+        var samples = [];
+        for (var name in status.hotfolders) {
+            samples.push({ labels: "{hotfolder=\"" + name.replace(/["\\]/g, "\\$&") + "\"}", value: status.hotfolders[name][key] });
         }
+        return samples;
+    };
+    var timestamp = function (iso) {
+        return iso ? new Date(iso).getTime() / 1000 : 0;
+    };
+    
+    metric("pdfimport_up", "gauge", "1 if the service is healthy", [{ value: status.health === "ok" ? 1 : 0 }]);
+    metric("pdfimport_elo_connected", "gauge", "1 if the last ELO connection check succeeded", [{ value: status.eloConnected ? 1 : 0 }]);
+    metric("pdfimport_uptime_seconds", "gauge", "Seconds since the service started", [{ value: status.uptimeSeconds }]);
+    metric("pdfimport_last_run_timestamp_seconds", "gauge", "Start of the last run", [{ value: timestamp(status.lastRun) }]);
+    metric("pdfimport_last_success_timestamp_seconds", "gauge", "End of the last successful run", [{ value: timestamp(status.lastSuccessfulRun) }]);
+    metric("pdfimport_last_run_duration_seconds", "gauge", "Duration of the last run", [{ value: status.lastRunDurationMs / 1000 }]);
+    metric("pdfimport_files_processed_total", "counter", "Files imported successfully", perHotfolder("totalProcessed"));
+    metric("pdfimport_files_failed_total", "counter", "Files that failed", perHotfolder("totalErrors"));
+    metric("pdfimport_queue_depth", "gauge", "Files waiting in the source directory", perHotfolder("queueDepth"));
+    metric("pdfimport_error_files", "gauge", "Files in the error directory", perHotfolder("errorFiles"));
+    
+    var stageSums = [];
+    var stageCounts = [];
+    for (var stage in status.stages) {
+        stageSums.push({ labels: "{stage=\"" + stage + "\"}", value: status.stages[stage].totalMs / 1000 });
+        stageCounts.push({ labels: "{stage=\"" + stage + "\"}", value: status.stages[stage].count });
+    }
+    lines.push("# HELP pdfimport_stage_duration_seconds Time spent per processing stage");
+    lines.push("# TYPE pdfimport_stage_duration_seconds summary");
+    for (var i = 0; i < stageSums.length; i++) {
+        lines.push("pdfimport_stage_duration_seconds_sum" + stageSums[i].labels + " " + stageSums[i].value);
+        lines.push("pdfimport_stage_duration_seconds_count" + stageCounts[i].labels + " " + stageCounts[i].value);
+    }
+    
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Write the status JSON after every run, for monitoring tools that read files instead of HTTP
+ */
+function writeStatusFile() {
+    if (!CONFIG.MONITORING.statusFile) {
+        return;
+    }
+    
+    try {
+        writeFileAtomically(new java.io.File(CONFIG.MONITORING.statusFile), JSON.stringify(createStatus(), null, 2));
+    } catch (e) {
+        logger.warn("Failed to write status file: " + CONFIG.MONITORING.statusFile, e);
+    }
+}
+
+/**
+ * Start the HTTP endpoint with /health (JSON, HTTP 503 unless healthy), /metrics (Prometheus) and /status (JSON)
+ */
+function startMonitoringServer() {
+    var monitoring = CONFIG.MONITORING;
+    if (!monitoring.httpPort || monitoringServer) {
+        return;
+    }
+    
+    try {
+        var address = new java.net.InetSocketAddress(monitoring.bindAddress || "127.0.0.1", monitoring.httpPort);
+        monitoringServer = com.sun.net.httpserver.HttpServer.create(address, 0);
+        monitoringServer.createContext("/", new com.sun.net.httpserver.HttpHandler({
+            handle: function (exchange) {
+                handleMonitoringRequest(exchange);
+            }
+        }));
+        monitoringServer.start();
+        logger.info("Monitoring endpoint listening on http://" + (monitoring.bindAddress || "127.0.0.1") + ":" + monitoring.httpPort + "/");
         
-        var uploadResult = ixConnect.upload(fileData, document.docs[0].url);
+    } catch (e) {
+        monitoringServer = null;
+        logger.error("Failed to start monitoring endpoint on port " + monitoring.httpPort, e);
+    }
+}
+
+/**
+ * @param {HttpExchange} exchange - The HTTP request and response
+ */
+function handleMonitoringRequest(exchange) {
+    try {
+        var path = String(exchange.getRequestURI().getPath());
+        var status = createStatus();
+        var statusCode = 200;
+        var contentType = "application/json; charset=utf-8";
+        var body;
         
-        if (uploadResult) {
-            ixConnect.ix().checkinDocEnd(sordId, SordC.mbAll, document);
-            logger.debug("File uploaded successfully: " + pdfFile.getName() + " (" + fileData.length + " bytes)");
-            return true;
+        if (path === "/metrics") {
+            contentType = "text/plain; version=0.0.4; charset=utf-8";
+            body = createPrometheusMetrics(status);
+        } else if (path === "/health") {
+            statusCode = status.health === "ok" ? 200 : 503;
+            body = JSON.stringify({ status: status.health, reasons: status.reasons, lastSuccessfulRun: status.lastSuccessfulRun });
+        } else if (path === "/" || path === "/status") {
+            body = JSON.stringify(status, null, 2);
         } else {
-            throw new Error("Upload operation returned false");
+            statusCode = 404;
+            body = JSON.stringify({ error: "Not found: " + path });
         }
         
+        var bytes = new java.lang.String(body).getBytes("UTF-8");
+        exchange.getResponseHeaders().set("Content-Type", contentType);
+        exchange.sendResponseHeaders(statusCode, bytes.length);
+        exchange.getResponseBody().write(bytes);
+        
     } catch (e) {
-        logger.error("Error uploading file: " + pdfFile.getName(), e);
-        return false;
+        logger.error("Monitoring request failed", e);
+    } finally {
+        exchange.close();
     }
 }
 
+// Enhanced directory and file management functions
+
 /**
- * Start workflow with retry mechanism
- * @param {String} sordId - The Sord ID of the document
+ * Resolve an archive path to a folder ID, creating missing folders level by level
+ * Segments are separated by ¶ (a backslash is accepted as well) and may contain placeholders
+ * such as {yyyy}, {MM}, {supplier} or {mask}. Segments that resolve to an empty value are skipped.
+ * @param {String} archivePath - Archive path, e.g. "¶Eingangsrechnungen¶{yyyy}¶{MM}"
+ * @param {Object} context - The import context used to resolve placeholders
+ * @return {String} - ID of the innermost folder
  */
-function startWorkflowWithRetry(sordId) {
-    var attempts = 0;
-    var maxAttempts = 2; // Fewer retries for workflow as it's less critical
-    
-    while (attempts < maxAttempts) {
-        try {
-            attempts++;
-            logger.info("Starting workflow for Sord ID: " + sordId + " (Attempt " + attempts + "/" + maxAttempts + ")");
-            
-            // Get workflow template
-            var wfTemplate = ixConnect.ix().checkoutWorkFlow(CONFIG.WORKFLOW_TEMPLATE, WFTypeC.TEMPLATE, WFDiagramC.mbAll, LockC.NO);
-            
-            if (!wfTemplate) {
-                throw new Error("Workflow template not found: " + CONFIG.WORKFLOW_TEMPLATE);
+function getOrCreateArchiveFolder(archivePath, context) {
+    try {
+        var resolvedPath = context ? resolvePlaceholders(archivePath, context, sanitizeFolderName) : archivePath;
+        var segments = resolvedPath.split(/[¶\\]/);
+        var parentId = "1";
+        var currentPath = "";
+        
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i].trim();
+            if (!segment) {
+                continue;
             }
             
-            // Create workflow instance
-            var wfInstance = ixConnect.ix().createWorkFlow(wfTemplate, sordId);
-            
-            // Start the workflow
-            ixConnect.ix().startWorkFlow(wfInstance.id, "Started by PDFImportService");
-            
-            logger.info("Workflow started successfully for Sord ID: " + sordId + " (Workflow ID: " + wfInstance.id + ")");
-            return;
-            
-        } catch (e) {
-            logger.warn("Workflow start attempt " + attempts + " failed for Sord ID: " + sordId + " - " + e.message);
+            currentPath += "¶" + segment;
             
-            if (attempts < maxAttempts) {
-                java.lang.Thread.sleep(2000); // Wait 2 seconds before retry
-            } else {
-                throw e;
+            if (!folderCache[currentPath]) {
+                folderCache[currentPath] = findChildFolder(parentId, segment) || createArchiveFolder(parentId, segment, currentPath);
             }
+            parentId = folderCache[currentPath];
         }
+        
+        logger.debug("Archive folder for " + resolvedPath + ": " + parentId);
+        return parentId;
+        
+    } catch (e) {
+        logger.error("Error getting/creating archive folder: " + archivePath, e);
+        throw e;
     }
 }
 
 /**
- * Validate PDF file before processing
- * @param {File} pdfFile - The PDF file to validate
- * @return {boolean} - Validation result
+ * Find a direct child folder by its exact name
+ * @param {String} parentId - ID of the parent folder
+ * @param {String} name - Folder name
+ * @return {String} - Folder ID or null
  */
-function validatePDFFile(pdfFile) {
+function findChildFolder(parentId, name) {
+    var findInfo = new FindInfo();
+    findInfo.findChildren = new FindChildren();
+    findInfo.findChildren.parentId = parentId;
+    findInfo.findByIndex = new FindByIndex();
+    findInfo.findByIndex.name = name;
+    
+    var findResult = ixConnect.ix().findFirstSords(findInfo, 100, SordC.mbMin);
+    
     try {
-        // Check file exists and is readable
-        if (!pdfFile.exists() || !pdfFile.canRead()) {
-            logger.warn("File does not exist or is not readable: " + pdfFile.getName());
-            return false;
+        var sords = findResult.sords || [];
+        for (var i = 0; i < sords.length; i++) {
+            // The name search is a prefix search, so compare exactly and ignore documents
+            if (String(sords[i].name) === name && sords[i].type < SordC.LBT_DOCUMENT) {
+                return sords[i].id;
+            }
         }
-        
-        // Check file size
-        var fileSize = pdfFile.length();
-        if (fileSize === 0) {
-            logger.warn("File is empty: " + pdfFile.getName());
-            return false;
+        return null;
+    } finally {
+        if (findResult.searchId) {
+            ixConnect.ix().findClose(findResult.searchId);
         }
+    }
+}
+
+/**
+ * Create a folder below the given parent
+ * @param {String} parentId - ID of the parent folder
+ * @param {String} name - Folder name
+ * @param {String} path - Full path of the new folder, for logging
+ * @return {String} - ID of the new folder
+ */
+function createArchiveFolder(parentId, name, path) {
+    logger.info("Creating archive folder: " + path);
+    
+    var folderSord = ixConnect.ix().createSord(parentId, null, EditInfoC.mbSord).sord;
+    folderSord.name = name;
+    folderSord.type = SordC.LBT_FOLDER;
+    folderSord.desc = "Created by PDFImportService for invoice imports";
+    
+    var editInfo = ixConnect.ix().checkinSord(folderSord, SordC.mbAll, LockC.NO);
+    logger.info("Archive folder created with ID: " + editInfo.sord.id);
+    return editInfo.sord.id;
+}
+
+/**
+ * Remove path separators and characters ELO does not allow in names from a placeholder value
+ * @param {String} value - Placeholder value
+ * @return {String} - Value usable as a folder name
+ */
+function sanitizeFolderName(value) {
+    return value.replace(/[¶\\\/:*?"<>|]/g, "-").replace(/\s+/g, " ").trim();
+}
+
+function getMaskId(maskName) {
+    try {
+        var docMasks = ixConnect.ix().checkoutDocMasks(null, DocMaskC.mbAll, LockC.NO);
         
-        if (fileSize > CONFIG.MAX_FILE_SIZE) {
-            logger.warn("File too large (" + fileSize + " bytes): " + pdfFile.getName());
-            return false;
+        for (var i = 0; i < docMasks.length; i++) {
+            if (docMasks[i].name === maskName) {
+                logger.debug("Found mask: " + maskName + " with ID: " + docMasks[i].id);
+                return docMasks[i].id;
+            }
         }
         
-        // Check file extension
-        var fileName = pdfFile.getName().toLowerCase();
-        var hasValidExtension = false;
-        for (var i = 0; i < CONFIG.ALLOWED_EXTENSIONS.length; i++) {
-            if (fileName.endsWith(CONFIG.ALLOWED_EXTENSIONS[i].toLowerCase())) {
-                hasValidExtension = true;
-                break;
+        logger.warn("Mask not found: " + maskName);
+        return null;
+        
+    } catch (e) {
+        logger.error("Error getting mask ID for: " + maskName, e);
+        return null;
+    }
+}
+
+function ensureDirectoriesExist(hotfolder) {
+    createDirectoryIfNotExists(hotfolder.SOURCE_DIR);
+    createDirectoryIfNotExists(hotfolder.PROCESSED_DIR);
+    createDirectoryIfNotExists(hotfolder.ERROR_DIR);
+    if (CONFIG.DUPLICATE_CHECK.enabled) {
+        createDirectoryIfNotExists(hotfolder.DUPLICATES_DIR);
+    }
+}
+
+function createDirectoryIfNotExists(dirPath) {
+    try {
+        var dir = new java.io.File(dirPath);
+        if (!dir.exists()) {
+            if (dir.mkdirs()) {
+                logger.info("Created directory: " + dirPath);
+            } else {
+                logger.error("Failed to create directory: " + dirPath);
             }
         }
-        
-        if (!hasValidExtension) {
-            logger.warn("Invalid file extension: " + pdfFile.getName());
-            return false;
+    } catch (e) {
+        logger.error("Error creating directory: " + dirPath, e);
+    }
+}
+
+function moveFileToProcessedDir(file, hotfolder) {
+    moveFileWithSidecar(file, hotfolder.PROCESSED_DIR);
+}
+
+/**
+ * Quarantine a failed file in the subdirectory of its error category and write an error report next to it
+ * @param {File} file - The failed file
+ * @param {Object} hotfolder - The hotfolder the file was found in
+ * @param {Error} error - Classified import error
+ * @param {Object} details - attempts, firstAttempt, and optionally sordId, the import context and
+ *                           the report of the previous failure if the file was re-driven
+ */
+function moveFileToErrorDir(file, hotfolder, error, details) {
+    var category = error.category || "unknown";
+    var targetDir = hotfolder.ERROR_DIR;
+    
+    if (CONFIG.ERROR_HANDLING.categorySubdirectories) {
+        targetDir = new java.io.File(hotfolder.ERROR_DIR, category).getAbsolutePath();
+        createDirectoryIfNotExists(targetDir);
+    }
+    
+    var previousReport = details.previousReport;
+    var firstAttempt = previousReport ? previousReport.firstAttempt : (details.firstAttempt || new Date().toISOString());
+    var redrives = previousReport ? (previousReport.redrives || 0) + 1 : 0;
+    var nextRedrive = getNextRedrive(category, redrives, firstAttempt);
+    
+    var fileSize = file.length();
+    var fileModified = file.lastModified();
+    var targetFile = moveFileWithSidecar(file, targetDir);
+    
+    logger.warn("Quarantined " + file.getName() + " in " + targetDir + " [" + category + "/" + error.code + "]: " + error.message +
+        (nextRedrive ? " (next retry: " + nextRedrive + ")" : ""));
+    recordFailure(hotfolder, file, error);
+    
+    if (!targetFile || !CONFIG.ERROR_HANDLING.writeReport) {
+        return;
+    }
+    
+    var context = details.context;
+    var report = {
+        file: String(targetFile.getName()),
+        originalPath: previousReport ? previousReport.originalPath : String(file.getAbsolutePath()),
+        hotfolder: hotfolder.NAME,
+        category: category,
+        code: error.code,
+        message: String(error.message),
+        exception: describeException(error.cause || error),
+        attempts: details.attempts || 0,
+        firstAttempt: firstAttempt,
+        failedAt: new Date().toISOString(),
+        redrives: redrives,
+        nextRedrive: nextRedrive,
+        fileSize: fileSize,
+        fileModified: new Date(fileModified).toISOString(),
+        hash: context ? context.hash : null,
+        sordId: details.sordId ? String(details.sordId) : (previousReport ? previousReport.sordId : null),
+        mail: context && context.mail ? context.mail : (previousReport ? previousReport.mail || null : null),
+        config: createConfigSnapshot(hotfolder, context, previousReport)
+    };
+    
+    try {
+        writeTextFile(new java.io.File(targetDir, targetFile.getName() + ".error.json"), JSON.stringify(report, null, 2));
+    } catch (e) {
+        logger.error("Failed to write error report for: " + targetFile.getName(), e);
+    }
+}
+
+/**
+ * Calculate when a failed file is re-driven next
+ * The delay starts at intervalMinutes and grows by backoffFactor with every re-drive.
+ * @param {String} category - Error category
+ * @param {Number} redrives - Number of re-drives so far
+ * @param {String} firstAttempt - ISO timestamp of the first attempt, limits the retries to maxAgeHours
+ * @return {String} - ISO timestamp of the next re-drive, null if the file is not retried automatically
+ */
+function getNextRedrive(category, redrives, firstAttempt) {
+    var policy = CONFIG.REPROCESSING;
+    
+    if (!policy.enabled || (policy.categories || ["elo", "workflow", "unknown"]).indexOf(category) === -1) {
+        return null;
+    }
+    if (policy.maxRedrives && redrives >= policy.maxRedrives) {
+        return null;
+    }
+    
+    var delayMs = (policy.intervalMinutes || 15) * 60 * 1000 * Math.pow(policy.backoffFactor || 1, redrives);
+    var next = new Date().getTime() + delayMs;
+    
+    if (policy.maxAgeHours && next - new Date(firstAttempt).getTime() > policy.maxAgeHours * 60 * 60 * 1000) {
+        return null;
+    }
+    return new Date(next).toISOString();
+}
+
+/**
+ * Re-drive files from the error directory and its category subdirectories
+ * A file is re-driven when the nextRedrive time of its error report has passed, or when an operator
+ * created a marker file "<file name>.retry" next to it. The marker also works for files that are never
+ * retried automatically, e.g. after a validation error.
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} result - successCount and errorCount of the current run
+ */
+function reprocessErrorDirectory(hotfolder, result) {
+    var errorDir = new java.io.File(hotfolder.ERROR_DIR);
+    var dirs = [errorDir];
+    var entries = errorDir.listFiles() || [];
+    
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].isDirectory()) {
+            dirs.push(entries[i]);
         }
+    }
+    
+    for (var d = 0; d < dirs.length; d++) {
+        var files = dirs[d].listFiles() || [];
         
-        // Check exclude patterns
-        for (var j = 0; j < CONFIG.EXCLUDE_PATTERNS.length; j++) {
-            var pattern = CONFIG.EXCLUDE_PATTERNS[j];
-            if (pattern.startsWith("*") && fileName.endsWith(pattern.substring(1))) {
-                logger.debug("File excluded by pattern " + pattern + ": " + pdfFile.getName());
-                return false;
+        for (var f = 0; f < files.length; f++) {
+            var file = files[f];
+            var name = String(file.getName());
+            
+            if (!file.isFile() || /\.(error\.json|retry)$/i.test(name) || isSidecarFile(file) || isCompanionFile(file)) {
+                continue;
             }
-            if (pattern.endsWith("*") && fileName.startsWith(pattern.substring(0, pattern.length - 1))) {
-                logger.debug("File excluded by pattern " + pattern + ": " + pdfFile.getName());
-                return false;
+            
+            var markerFile = new java.io.File(dirs[d], name + ".retry");
+            var reportFile = new java.io.File(dirs[d], name + ".error.json");
+            var report = reportFile.exists() ? readErrorReport(reportFile) : null;
+            
+            // Error directories may be shared, each hotfolder only re-drives its own files
+            if (report && report.hotfolder !== hotfolder.NAME) {
+                continue;
             }
-            if (fileName.indexOf(pattern) !== -1) {
-                logger.debug("File excluded by pattern " + pattern + ": " + pdfFile.getName());
-                return false;
+            
+            var requested = markerFile.exists();
+            if (!requested && !(report && report.nextRedrive && new Date(report.nextRedrive).getTime() <= new Date().getTime())) {
+                continue;
             }
-        }
-        
-        // Basic PDF header validation
-        try {
-            var fileInputStream = new java.io.FileInputStream(pdfFile);
-            var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 5);
-            var bytesRead = fileInputStream.read(buffer);
-            fileInputStream.close();
-            
-            if (bytesRead >= 4) {
-                var header = new java.lang.String(buffer, 0, 4, "UTF-8");
-                if (!header.equals("%PDF")) {
-                    logger.warn("Invalid PDF header: " + pdfFile.getName());
-                    return false;
+            
+            logger.info("Re-driving " + name + (requested ? " (requested by marker file)" : " (re-drive " + ((report.redrives || 0) + 1) + ")"));
+            markerFile["delete"]();
+            
+            try {
+                if (redriveFile(file, report, reportFile, hotfolder)) {
+                    result.successCount++;
+                } else {
+                    result.errorCount++;
                 }
+            } catch (e) {
+                logger.error("Unhandled error re-driving file: " + name, e);
+                result.errorCount++;
             }
-        } catch (headerError) {
-            logger.warn("Could not validate PDF header for: " + pdfFile.getName(), headerError);
-            // Continue anyway, as this is not critical
         }
-        
-        logger.debug("File validation passed: " + pdfFile.getName() + " (" + fileSize + " bytes)");
-        return true;
-        
-    } catch (e) {
-        logger.error("Error validating file: " + pdfFile.getName(), e);
-        return false;
     }
 }
 
 /**
- * Get list of valid PDF files from directory
- * @param {String} dirPath - Directory path
- * @return {Array} - Array of validated File objects
+ * Retry a single failed file
+ * After a workflow error the document is already archived, so only the workflow is started again.
+ * Every other file is moved back to where it was found and imported again.
+ * The error report is deleted once the file has left the error directory, a file that cannot be moved keeps it
+ * and is re-driven again later.
+ * @param {File} file - The file in the error directory
+ * @param {Object} report - Its error report, null if there is none
+ * @param {File} reportFile - The error report file
+ * @param {Object} hotfolder - The hotfolder
+ * @return {boolean} - Success status
  */
-function getValidPDFFiles(dirPath) {
-    var validFiles = [];
-    
-    try {
-        var dir = new java.io.File(dirPath);
-        
-        if (!dir.exists() || !dir.isDirectory()) {
-            logger.warn("Source directory does not exist: " + dirPath);
-            return validFiles;
-        }
-        
-        var files = dir.listFiles();
-        
-        for (var i = 0; i < files.length; i++) {
-            var file = files[i];
-            if (file.isFile() && validatePDFFile(file)) {
-                validFiles.push(file);
-            }
+function redriveFile(file, report, reportFile, hotfolder) {
+    if (report && report.code === "WORKFLOW_FAILED" && report.sordId) {
+        var workflowTemplate = report.config.route ? report.config.route.workflowTemplate : hotfolder.WORKFLOW_TEMPLATE;
+        try {
+            startWorkflowWithRetry(report.sordId, workflowTemplate, report.config.workflowStart);
+        } catch (wfError) {
+            reportFile["delete"]();
+            var workflowError = createImportError("WORKFLOW_FAILED", "Workflow " + workflowTemplate + " could not be started: " + wfError.message, wfError);
+            moveFileToErrorDir(file, hotfolder, workflowError, { attempts: 1, sordId: report.sordId, previousReport: report });
+            return false;
         }
-        
-        logger.debug("Found " + validFiles.length + " valid files out of " + files.length + " total files");
-        
-    } catch (e) {
-        logger.error("Error reading files from directory: " + dirPath, e);
+        reportFile["delete"]();
+        moveFileToProcessedDir(file, hotfolder);
+        logger.info("Workflow started for re-driven file: " + file.getName() + " (Sord ID: " + report.sordId + ")");
+        return true;
     }
     
-    return validFiles;
+    // Files without a report, or from a source directory that has changed since, go to the source directory root
+    var originalFile = report ? new java.io.File(report.originalPath) : null;
+    if (!originalFile || !isInsideDirectory(originalFile, hotfolder.SOURCE_DIR)) {
+        originalFile = new java.io.File(hotfolder.SOURCE_DIR, file.getName());
+    }
+    
+    createDirectoryIfNotExists(originalFile.getParent());
+    var sourceFile = moveFileWithSidecar(file, originalFile.getParent(), originalFile.getName());
+    if (!sourceFile) {
+        return false;
+    }
+    reportFile["delete"]();
+    
+    if (isMailFile(sourceFile, hotfolder)) {
+        var result = { successCount: 0, errorCount: 0 };
+        importMailFile(sourceFile, hotfolder, result);
+        return result.errorCount === 0;
+    }
+    
+    return processSinglePDFWithRetry(sourceFile, hotfolder, report);
 }
 
 /**
- * Validate ELO connection
- * @return {boolean} - Connection status
+ * @param {File} reportFile - An error report
+ * @return {Object} - The parsed report, null if it is unreadable
  */
-function validateELOConnection() {
+function readErrorReport(reportFile) {
     try {
-        // Test connection with a simple operation
-        var serverInfo = ixConnect.ix().getServerInfo();
-        if (serverInfo) {
-            logger.debug("ELO connection validated. Server: " + serverInfo.name);
-            return true;
-        } else {
-            logger.error("ELO connection test failed - no server info");
-            return false;
-        }
+        return JSON.parse(String(sol.common.FileUtils.readFileToString(reportFile, "UTF-8")));
     } catch (e) {
-        logger.error("ELO connection validation failed", e);
-        return false;
+        logger.warn("Unreadable error report: " + reportFile.getName(), e);
+        return null;
     }
 }
 
 /**
- * Set custom metadata based on file properties
- * @param {Sord} sord - The Sord object
- * @param {File} pdfFile - The PDF file
+ * @param {File} file - A file
+ * @param {String} dirPath - A directory
+ * @return {boolean} - true if the file is located in the directory or one of its subdirectories
  */
-function setCustomMetadata(sord, pdfFile) {
-    try {
-        // Set file size in a custom field (if available)
-        var fileSize = pdfFile.length();
-        var fileSizeKB = Math.round(fileSize / 1024);
-        
-        // Set import date
-        var importDate = new Date();
-        
-        // These would need to be adapted to your specific metadata mask fields
-        // Example: sord.objKeys[0].data = ["" + fileSizeKB]; // File size in KB
-        // Example: sord.objKeys[1].data = [importDate.toISOString().substring(0, 10)]; // Import date
-        
-        logger.debug("Custom metadata set for: " + pdfFile.getName());
-        
-    } catch (e) {
-        logger.warn("Failed to set custom metadata", e);
-        throw e;
+function isInsideDirectory(file, dirPath) {
+    var dir = String(new java.io.File(dirPath).getCanonicalPath()) + java.io.File.separator;
+    return String(file.getCanonicalPath()).indexOf(dir) === 0;
+}
+
+/**
+ * Create an error carrying an error code and its category
+ * @param {String} code - Key of IMPORT_ERROR_CODES
+ * @param {String} message - Error message
+ * @param {Error} cause - Optional underlying error
+ * @return {Error} - The classified error
+ */
+function createImportError(code, message, cause) {
+    var error = new Error(message);
+    error.code = code;
+    error.category = IMPORT_ERROR_CODES.hasOwnProperty(code) ? IMPORT_ERROR_CODES[code] : "unknown";
+    error.cause = cause || null;
+    return error;
+}
+
+/**
+ * @param {Error} e - Any error
+ * @return {Error} - The error itself if it is classified, otherwise an UNKNOWN error wrapping it
+ */
+function classifyError(e) {
+    if (e && e.code && IMPORT_ERROR_CODES.hasOwnProperty(e.code)) {
+        return e;
     }
+    return createImportError("UNKNOWN", e && e.message ? e.message : String(e), e);
 }
 
 /**
- * Read file in chunks for better memory management
- * @param {File} file - The file to read
- * @return {byte[]} - File data
+ * @param {Error} e - JavaScript error, possibly wrapping a Java exception
+ * @return {Object} - Type, message and stack trace for the error report
  */
-function readFileInChunks(file) {
-    try {
-        return fileUtils.readFileToByteArray(file.getAbsolutePath());
-    } catch (e) {
-        logger.error("Error reading file: " + file.getName(), e);
-        return null;
+function describeException(e) {
+    if (e.javaException) {
+        var stackTrace = new java.io.StringWriter();
+        e.javaException.printStackTrace(new java.io.PrintWriter(stackTrace));
+        return {
+            type: String(e.javaException.getClass().getName()),
+            message: String(e.javaException.getMessage()),
+            stack: String(stackTrace.toString())
+        };
     }
+    return {
+        type: String(e.name || "Error"),
+        message: String(e.message),
+        stack: e.stack ? String(e.stack) : null
+    };
 }
 
 /**
- * Log performance and processing statistics
+ * Settings that applied to a failed file, so the report can be read without the config of that time
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} context - The import context, may be null
+ * @param {Object} previousReport - Report of an earlier failure, its route and workflow start are kept without context
+ * @return {Object} - Snapshot of the hotfolder settings, the resolved route and workflow start
  */
-function logStatistics() {
-    var uptime = new Date() - stats.startTime;
-    var uptimeHours = Math.round(uptime / (1000 * 60 * 60) * 100) / 100;
+function createConfigSnapshot(hotfolder, context, previousReport) {
+    var previousConfig = previousReport && previousReport.config ? previousReport.config : {};
+    var snapshot = {
+        hotfolder: {},
+        route: context ? context.route : (previousConfig.route || null),
+        workflowStart: context ? context.workflowStart : (previousConfig.workflowStart || null),
+        retryAttempts: CONFIG.RETRY_ATTEMPTS,
+        duplicatePolicy: CONFIG.DUPLICATE_CHECK.enabled ? CONFIG.DUPLICATE_CHECK.policy : null
+    };
     
-    logger.info("=== PDFImportService Statistics ===");
-    logger.info("Uptime: " + uptimeHours + " hours");
-    logger.info("Total processed: " + stats.totalProcessed);
-    logger.info("Total errors: " + stats.totalErrors);
-    logger.info("Success rate: " + Math.round((stats.totalProcessed / (stats.totalProcessed + stats.totalErrors)) * 100) + "%");
-    logger.info("Last run: " + (stats.lastRun ? stats.lastRun.toISOString() : "Never"));
-    logger.info("===================================");
+    for (var key in hotfolder) {
+        if (key !== "logger") {
+            snapshot.hotfolder[key] = hotfolder[key];
+        }
+    }
+    return snapshot;
 }
 
-// Enhanced directory and file management functions
-function getOrCreateArchiveFolder() {
+/**
+ * Move a file with its sidecar and companion files, keeping their base names in line in the target directory
+ * @param {File} file - The file to move
+ * @param {String} targetDir - Target directory
+ * @param {String} targetName - Optional file name in the target directory
+ * @return {File} - The moved file or null if the move failed
+ */
+function moveFileWithSidecar(file, targetDir, targetName) {
+    var sidecarFile = findSidecarFile(file);
+    var companions = CONFIG.COMPANION_FILES.enabled && !matchCompanionRule(file) ? findCompanionFiles(file) : [];
+    var targetFile = moveFile(file, targetDir, targetName);
+    
+    if (!targetFile) {
+        return null;
+    }
+    
+    var movedName = String(targetFile.getName());
+    var targetBaseName = movedName.substring(0, movedName.lastIndexOf('.'));
+    
+    if (sidecarFile) {
+        var sidecarName = String(sidecarFile.getName());
+        moveFile(sidecarFile, targetDir, targetBaseName + sidecarName.substring(sidecarName.lastIndexOf('.')));
+    }
+    
+    // Companions keep their suffix, so they still belong to the main document if it was renamed
+    for (var i = 0; i < companions.length; i++) {
+        moveFile(companions[i], targetDir, targetBaseName + matchCompanionRule(companions[i]).suffix);
+    }
+    return targetFile;
+}
+
+/**
+ * Move a file into a directory, adding a timestamp if the target name is taken
+ * Files.move copies and deletes the file when the target is on another volume, e.g. a mail attachment
+ * staged in the temp directory on C: that is moved to a hotfolder directory on a share.
+ * @param {File} file - The file to move
+ * @param {String} targetDir - Target directory
+ * @param {String} targetName - Optional file name in the target directory
+ * @return {File} - The moved file or null if the move failed
+ */
+function moveFile(file, targetDir, targetName) {
     try {
-        // Try to find existing folder first
-        var findInfo = new FindInfo();
-        findInfo.findByIndex = new FindByIndex();
-        findInfo.findByIndex.name = CONFIG.ARCHIVE_PATH;
+        var targetFile = new java.io.File(targetDir, targetName || file.getName());
         
-        var findResult = ixConnect.ix().findFirstSords(findInfo, 1, SordC.mbAll);
-        
-        if (findResult.sords && findResult.sords.length > 0) {
-            logger.debug("Found existing archive folder: " + CONFIG.ARCHIVE_PATH);
-            return findResult.sords[0].id;
+        // A file that is re-quarantined in its own directory stays where it is
+        if (String(targetFile.getCanonicalPath()) === String(file.getCanonicalPath())) {
+            return file;
         }
         
-        // Create folder if it doesn't exist
-        logger.info("Creating archive folder: " + CONFIG.ARCHIVE_PATH);
-        var parentSord = ixConnect.ix().createSord("1", null, EditInfoC.mbSord).sord;
-        parentSord.name = CONFIG.ARCHIVE_PATH.substring(1); // Remove ¶ prefix
-        parentSord.type = SordC.LBT_FOLDER;
-        parentSord.desc = "Created by PDFImportService for invoice imports";
+        // If target file exists, add timestamp
+        if (targetFile.exists()) {
+            var timestamp = new Date().getTime();
+            var fileName = targetFile.getName();
+            var baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+            var extension = fileName.substring(fileName.lastIndexOf('.'));
+            targetFile = new java.io.File(targetDir, baseName + "_" + timestamp + extension);
+        }
         
-        var editInfo = ixConnect.ix().checkinSord(parentSord, SordC.mbAll, LockC.NO);
-        logger.info("Archive folder created with ID: " + editInfo.sord.id);
-        return editInfo.sord.id;
+        java.nio.file.Files.move(file.toPath(), targetFile.toPath());
+        logger.debug("Moved file to: " + targetFile.getAbsolutePath());
+        return targetFile;
         
     } catch (e) {
-        logger.error("Error getting/creating archive folder", e);
-        throw e;
+        logger.error("Error moving file: " + file.getAbsolutePath(), e);
     }
+    return null;
 }
 
-function getMaskId(maskName) {
-    try {
-        var docMasks = ixConnect.ix().checkoutDocMasks(null, DocMaskC.mbAll, LockC.NO);
+// Dry run
+
+/**
+ * Check the configuration and report what would be imported where, without creating Sords,
+ * starting workflows, creating folders or moving files
+ * Checks the ELO connection, every mask, workflow template and archive path used by the hotfolders
+ * and routing rules, and the service directories. Then every file of every source directory is
+ * validated, analyzed and routed like a real import.
+ * @return {Object} - The report, also logged and written to dryRun.reportFile if configured
+ */
+function runDryRun() {
+    var report = {
+        startedAt: new Date().toISOString(),
+        configError: configLoadError,
+        eloConnected: false,
+        problems: [],
+        checks: [],
+        files: []
+    };
+    var check = function (subject, ok, detail) {
+        report.checks.push({ subject: subject, ok: ok, detail: detail });
+        if (!ok) {
+            report.problems.push(subject + ": " + detail);
+        }
+    };
+    
+    logger.info("=== DRY RUN: nothing is created, started or moved ===");
+    if (configLoadError) {
+        report.problems.push("Configuration: " + configLoadError + " - the default configuration is used");
+    }
+    
+    // Only tested, a dry run must not send connection alerts or change the state the running service reports
+    var connectionFailure = testELOConnection();
+    report.eloConnected = connectionFailure === null;
+    check("ELO connection", report.eloConnected, report.eloConnected ? "ok" : "connection check failed: " + connectionFailure);
+    
+    // Every target that a hotfolder or routing rule may use
+    var masks = {};
+    var workflows = {};
+    var archivePaths = {};
+    for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+        var hotfolder = CONFIG.HOTFOLDERS[h];
+        masks[hotfolder.METADATA_MASK] = true;
+        workflows[hotfolder.WORKFLOW_TEMPLATE] = true;
+        archivePaths[hotfolder.ARCHIVE_PATH] = true;
         
-        for (var i = 0; i < docMasks.length; i++) {
-            if (docMasks[i].name === maskName) {
-                logger.debug("Found mask: " + maskName + " with ID: " + docMasks[i].id);
-                return docMasks[i].id;
+        check("Source directory " + hotfolder.SOURCE_DIR, new java.io.File(hotfolder.SOURCE_DIR).canRead(), "readable");
+        var serviceDirs = [hotfolder.PROCESSED_DIR, hotfolder.ERROR_DIR, hotfolder.SOURCE_DIR];
+        if (CONFIG.DUPLICATE_CHECK.enabled) {
+            serviceDirs.push(hotfolder.DUPLICATES_DIR);
+        }
+        for (var d = 0; d < serviceDirs.length; d++) {
+            var writable = isDirectoryWritable(serviceDirs[d]);
+            check("Directory " + serviceDirs[d], writable, writable ? "writable" : "not writable and cannot be created");
+        }
+    }
+    for (var r = 0; r < CONFIG.ROUTING_RULES.length; r++) {
+        var rule = CONFIG.ROUTING_RULES[r];
+        if (rule.metadataMask) {
+            masks[rule.metadataMask] = true;
+        }
+        if (rule.workflowTemplate) {
+            workflows[rule.workflowTemplate] = true;
+        }
+        if (rule.archivePath) {
+            archivePaths[rule.archivePath] = true;
+        }
+    }
+    
+    if (report.eloConnected) {
+        for (var mask in masks) {
+            check("Mask " + mask, !mask || !!getMaskId(mask), "found");
+        }
+        for (var workflow in workflows) {
+            if (workflow) {
+                var templateFound = findWorkflowTemplate(workflow);
+                check("Workflow template " + workflow, templateFound, templateFound ? "found" : "not found");
             }
         }
-        
-        logger.warn("Mask not found: " + maskName);
-        return null;
-        
-    } catch (e) {
-        logger.error("Error getting mask ID for: " + maskName, e);
-        return null;
+        for (var archivePath in archivePaths) {
+            var missing = findMissingArchiveFolders(archivePath, null);
+            check("Archive path " + archivePath, true, missing.length === 0 ? "exists" : "would create " + missing.join(", "));
+        }
     }
+    
+    // Walk the source directories like a real run
+    for (var i = 0; i < CONFIG.HOTFOLDERS.length; i++) {
+        dryRunHotfolder(CONFIG.HOTFOLDERS[i], report);
+    }
+    
+    for (var c = 0; c < report.checks.length; c++) {
+        var result = report.checks[c];
+        logger[result.ok ? "info" : "error"]("DRY RUN check " + (result.ok ? "OK   " : "FAIL ") + result.subject + ": " + result.detail);
+    }
+    logger.info("=== DRY RUN finished: " + report.files.length + " files, " + report.problems.length + " problems ===");
+    
+    if (CONFIG.DRY_RUN.reportFile) {
+        try {
+            writeFileAtomically(new java.io.File(CONFIG.DRY_RUN.reportFile), JSON.stringify(report, null, 2));
+            logger.info("Dry run report written to: " + CONFIG.DRY_RUN.reportFile);
+        } catch (e) {
+            logger.error("Failed to write dry run report: " + CONFIG.DRY_RUN.reportFile, e);
+        }
+    }
+    
+    return report;
 }
 
-function ensureDirectoriesExist() {
-    createDirectoryIfNotExists(CONFIG.SOURCE_DIR);
-    createDirectoryIfNotExists(CONFIG.PROCESSED_DIR);
-    createDirectoryIfNotExists(CONFIG.ERROR_DIR);
-}
-
-function createDirectoryIfNotExists(dirPath) {
-    try {
-        var dir = new java.io.File(dirPath);
-        if (!dir.exists()) {
-            if (dir.mkdirs()) {
-                logger.info("Created directory: " + dirPath);
+/**
+ * Report what would happen to each file of a hotfolder
+ * @param {Object} hotfolder - The hotfolder
+ * @param {Object} report - The dry run report
+ */
+function dryRunHotfolder(hotfolder, report) {
+    var files = [];
+    var sourceDir = new java.io.File(hotfolder.SOURCE_DIR);
+    if (sourceDir.isDirectory()) {
+        collectFiles(sourceDir, files, hotfolder.INCLUDE_SUBDIRECTORIES);
+    }
+    
+    for (var i = 0; i < files.length; i++) {
+        var file = files[i];
+        if (isTemporaryFile(file) || isSidecarFile(file) || isCompanionFile(file)) {
+            continue;
+        }
+        
+        var entry = { hotfolder: hotfolder.NAME, file: String(file.getAbsolutePath()) };
+        report.files.push(entry);
+        
+        if (isMailFile(file, hotfolder)) {
+            entry.action = "read as mail";
+            logger.info("DRY RUN " + file.getName() + ": " + entry.action);
+            continue;
+        }
+        
+        try {
+            var validationError = getValidationError(file, hotfolder);
+            if (validationError) {
+                entry.action = validationError.category ? "quarantine in " + validationError.category : "skip";
+                entry.reason = validationError.code + ": " + validationError.message;
             } else {
-                logger.error("Failed to create directory: " + dirPath);
+                var context = createImportContext(file, hotfolder);
+                entry.format = context.format;
+                if (hotfolder.SPLITTING.enabled && context.format === "pdf" && !context.batch) {
+                    entry.batchParts = findBatchPartsOfFile(file, hotfolder).length;
+                }
+                entry.convertToPdf = (CONFIG.FORMATS.convertToPdf || []).indexOf(context.format) !== -1;
+                entry.companions = context.companions.map(function (companion) {
+                    return String(companion.getName());
+                });
+                entry.supplier = context.supplier ? context.supplier.record.supplierNumber + " (" + context.supplier.matchedBy + ")" : null;
+                entry.route = context.route.ruleName || "default";
+                entry.metadataMask = context.route.metadataMask;
+                entry.archivePath = resolvePlaceholders(context.route.archivePath, context, sanitizeFolderName);
+                entry.workflowTemplate = context.route.workflowTemplate || null;
+                entry.workflowName = context.workflowStart.name || null;
+                entry.workflowVariables = context.workflowStart.variables;
+                entry.workflowAssignments = context.workflowStart.assignments;
+                entry.name = resolvePlaceholders(context.route.sordName, context).trim();
+                entry.metadata = context.metadata;
+                entry.eInvoice = context.eInvoice ? context.eInvoice.syntax : null;
+                entry.action = "import";
+                
+                if (report.eloConnected) {
+                    entry.duplicateOf = findDuplicateSord(context);
+                    if (entry.duplicateOf) {
+                        entry.action = "duplicate (" + CONFIG.DUPLICATE_CHECK.policy + ")";
+                    }
+                    entry.newFolders = findMissingArchiveFolders(context.route.archivePath, context);
+                }
             }
+        } catch (e) {
+            entry.action = "fail";
+            entry.reason = classifyError(e).code + ": " + e.message;
         }
-    } catch (e) {
-        logger.error("Error creating directory: " + dirPath, e);
+        
+        logger.info("DRY RUN " + file.getName() + ": " + entry.action +
+            (entry.archivePath ? " -> " + entry.archivePath + " (Mask: " + entry.metadataMask + ", Workflow: " + (entry.workflowTemplate || "none") + ", Rule: " + entry.route + ")" : "") +
+            (entry.reason ? " - " + entry.reason : ""));
     }
 }
 
-function moveFileToProcessedDir(file) {
-    moveFile(file, CONFIG.PROCESSED_DIR);
-}
-
-function moveFileToErrorDir(file) {
-    moveFile(file, CONFIG.ERROR_DIR);
+/**
+ * @param {String} workflowTemplate - Name of a workflow template
+ * @return {boolean} - true if the template can be checked out
+ */
+function findWorkflowTemplate(workflowTemplate) {
+    try {
+        return !!ixConnect.ix().checkoutWorkFlow(workflowTemplate, WFTypeC.TEMPLATE, WFDiagramC.mbAll, LockC.NO);
+    } catch (e) {
+        logger.debug("Workflow template check failed: " + workflowTemplate + " - " + e.message);
+        return false;
+    }
 }
 
-function moveFile(file, targetDir) {
-    try {
-        var targetFile = new java.io.File(targetDir, file.getName());
-        
-        // If target file exists, add timestamp
-        if (targetFile.exists()) {
-            var timestamp = new Date().getTime();
-            var fileName = file.getName();
-            var baseName = fileName.substring(0, fileName.lastIndexOf('.'));
-            var extension = fileName.substring(fileName.lastIndexOf('.'));
-            targetFile = new java.io.File(targetDir, baseName + "_" + timestamp + extension);
+/**
+ * Walk an archive path without creating anything
+ * @param {String} archivePath - Archive path, placeholders are resolved if a context is given
+ * @param {Object} context - The import context, may be null
+ * @return {Array} - Paths of the folders a real import would create
+ */
+function findMissingArchiveFolders(archivePath, context) {
+    var resolvedPath = context ? resolvePlaceholders(archivePath, context, sanitizeFolderName) : archivePath;
+    var segments = resolvedPath.split(/[¶\\]/);
+    var parentId = "1";
+    var currentPath = "";
+    var missing = [];
+    
+    for (var i = 0; i < segments.length; i++) {
+        var segment = segments[i].trim();
+        if (!segment) {
+            continue;
         }
         
-        if (file.renameTo(targetFile)) {
-            logger.debug("Moved file to: " + targetFile.getAbsolutePath());
+        currentPath += "¶" + segment;
+        parentId = parentId && (folderCache[currentPath] || findChildFolder(parentId, segment));
+        if (parentId) {
+            folderCache[currentPath] = parentId;
         } else {
-            logger.error("Failed to move file: " + file.getAbsolutePath());
+            missing.push(currentPath);
         }
-        
-    } catch (e) {
-        logger.error("Error moving file: " + file.getAbsolutePath(), e);
     }
+    return missing;
+}
+
+/**
+ * @param {String} dirPath - A directory
+ * @return {boolean} - true if the directory is writable, or does not exist yet and can be created
+ */
+function isDirectoryWritable(dirPath) {
+    var dir = new java.io.File(dirPath).getAbsoluteFile();
+    while (dir && !dir.exists()) {
+        dir = dir.getParentFile();
+    }
+    return !!dir && dir.isDirectory() && dir.canWrite();
 }
 
 // Main execution with enhanced startup
 function main() {
     logger.info("=== PDFImportService Enhanced Starting ===");
-    logger.info("Configuration loaded:");
-    logger.info("- Source Directory: " + CONFIG.SOURCE_DIR);
-    logger.info("- Archive Path: " + CONFIG.ARCHIVE_PATH);
-    logger.info("- Metadata Mask: " + CONFIG.METADATA_MASK);
-    logger.info("- Workflow Template: " + CONFIG.WORKFLOW_TEMPLATE);
+    
+    if (configErrors.length > 0) {
+        logger.error("config.json is invalid, the service does not start:");
+        for (var c = 0; c < configErrors.length; c++) {
+            logger.error("- " + configErrors[c]);
+        }
+        return;
+    }
+    if (configLoadError) {
+        logger.warn(configLoadError);
+    }
+    
+    logger.info("Configuration loaded" + (CONFIG.ENVIRONMENT ? " (environment " + CONFIG.ENVIRONMENT + ")" : "") + ":");
+    for (var h = 0; h < CONFIG.HOTFOLDERS.length; h++) {
+        var hotfolder = CONFIG.HOTFOLDERS[h];
+        logger.info("- Hotfolder " + hotfolder.NAME + ": " + hotfolder.SOURCE_DIR + (hotfolder.INCLUDE_SUBDIRECTORIES ? " (with subdirectories)" : "") +
+            " -> " + hotfolder.ARCHIVE_PATH + " (Mask: " + hotfolder.METADATA_MASK + ", Workflow: " + (hotfolder.WORKFLOW_TEMPLATE || "none") + ")");
+    }
     logger.info("- Interval: " + (CONFIG.INTERVAL / 1000) + " seconds");
     logger.info("- Max File Size: " + Math.round(CONFIG.MAX_FILE_SIZE / 1024 / 1024) + " MB");
     logger.info("- Retry Attempts: " + CONFIG.RETRY_ATTEMPTS);
     logger.info("============================================");
     
+    if (CONFIG.DRY_RUN.enabled) {
+        runDryRun();
+        return;
+    }
+    
+    // Available before the connection check, so a service that cannot start shows up as unhealthy
+    startMonitoringServer();
+    
     // Validate initial setup
     if (!validateELOConnection()) {
         logger.error("Initial ELO connection validation failed. Service will not start.");
@@ -651,9 +6462,7 @@ function main() {
     processPDFFiles();
     
     // Set up interval
-    setInterval(function() {
-        processPDFFiles();
-    }, CONFIG.INTERVAL);
+    scheduleRuns();
     
     logger.info("PDFImportService Enhanced is running with " + (CONFIG.INTERVAL / 1000) + " second interval");
 }